@@ -0,0 +1,233 @@
+/**
+ * Per-job failure forensics. While a job runs, a recorder attached to its
+ * page collects the visited URL chain, console and network errors, and a
+ * screenshot plus the HTML at every step (and optionally a Puppeteer trace).
+ * Each bundle lives in `<dir>/<action>/<job>/` with a manifest.json and one
+ * attempt-N/ folder per run of the job.
+ *
+ * mode: "off", "failure" (keep only failed attempts) or "always".
+ * Bundles whose manifest has not been touched for `retentionMs` are swept.
+ *
+ * The active recorder is tracked per async context (like the log context),
+ * so steps capture themselves via captureStep() without threading the
+ * recorder through every call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createJsonStore } = require('./jsonStore');
+const { log, redactString } = require('./logger');
+
+const MODES = ['off', 'failure', 'always'];
+const MAX_EVENTS = 200;
+
+// Job ids come from callers; keep them readable but filesystem-safe and unique
+function bundleDirName(id) {
+  const readable = String(id).replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 80);
+  const hash = crypto.createHash('sha1').update(String(id)).digest('hex').slice(0, 8);
+  return `${readable}-${hash}`;
+}
+
+function pushCapped(list, entry) {
+  if (list.length < MAX_EVENTS) list.push(entry);
+}
+
+function createArtifactStore({ dir, mode = 'off', trace = false, retentionMs = 1000 * 60 * 60 * 72, sweepIntervalMs = 1000 * 60 * 60 }) {
+  if (!MODES.includes(mode)) {
+    log.error(`Invalid artifacts mode "${mode}"; artifacts disabled`);
+    mode = 'off';
+  }
+  const storage = new AsyncLocalStorage();
+  let sweeper = null;
+
+  function bundlePath(action, id) {
+    return path.join(dir, action, bundleDirName(id));
+  }
+
+  function manifestStore(action, id) {
+    return createJsonStore(path.join(bundlePath(action, id), 'manifest.json'), null);
+  }
+
+  function attachListeners(page, attempt) {
+    page.on('framenavigated', (frame) => {
+      if (frame !== page.mainFrame()) return;
+      const url = redactString(frame.url());
+      if (attempt.urls[attempt.urls.length - 1] !== url) pushCapped(attempt.urls, url);
+    });
+    page.on('console', (msg) => {
+      if (msg.type() === 'error') pushCapped(attempt.console_errors, { at: new Date().toISOString(), text: redactString(msg.text()) });
+    });
+    page.on('pageerror', (err) => {
+      pushCapped(attempt.console_errors, { at: new Date().toISOString(), text: redactString(err.message), uncaught: true });
+    });
+    page.on('requestfailed', (req) => {
+      pushCapped(attempt.network_errors, {
+        at: new Date().toISOString(),
+        url: redactString(req.url()),
+        method: req.method(),
+        error: req.failure() ? req.failure().errorText : 'failed',
+      });
+    });
+    page.on('response', (res) => {
+      if (res.status() < 400) return;
+      pushCapped(attempt.network_errors, {
+        at: new Date().toISOString(),
+        url: redactString(res.url()),
+        method: res.request().method(),
+        status: res.status(),
+      });
+    });
+  }
+
+  /**
+   * Runs fn while recording `page` into the bundle for (action, id). Resolves
+   * or rejects like fn; recording problems are logged, never thrown.
+   */
+  async function record(page, { action, id, task_id = null }, fn) {
+    if (mode === 'off' || !id) return fn();
+
+    const store = manifestStore(action, id);
+    const manifest = store.load() || { job_id: String(id), action, created_at: new Date().toISOString(), attempts: [] };
+    const number = manifest.attempts.reduce((max, a) => Math.max(max, a.attempt), 0) + 1;
+    const attempt = {
+      attempt: number,
+      task_id,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      ok: null,
+      error: null,
+      urls: [],
+      console_errors: [],
+      network_errors: [],
+      steps: [],
+      trace: null,
+    };
+    const recorder = { page, attempt, folder: path.join(bundlePath(action, id), `attempt-${number}`), seq: 0 };
+    fs.mkdirSync(recorder.folder, { recursive: true });
+    attachListeners(page, attempt);
+
+    if (trace) {
+      try {
+        await page.tracing.start({ path: path.join(recorder.folder, 'trace.json'), screenshots: true });
+        recorder.tracing = true;
+      } catch (e) {
+        // Chrome allows one trace at a time across the whole browser
+        attempt.trace_error = e.message;
+      }
+    }
+
+    let failure = null;
+    try {
+      return await storage.run(recorder, fn);
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      await finish(store, manifest, recorder, failure);
+    }
+  }
+
+  async function capture(recorder, step) {
+    const base = `${String(++recorder.seq).padStart(2, '0')}-${String(step).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    const entry = { step, at: new Date().toISOString(), url: null, screenshot: null, html: null };
+    try {
+      entry.url = redactString(recorder.page.url());
+      await recorder.page.screenshot({ path: path.join(recorder.folder, `${base}.png`), fullPage: true });
+      entry.screenshot = `attempt-${recorder.attempt.attempt}/${base}.png`;
+      fs.writeFileSync(path.join(recorder.folder, `${base}.html`), await recorder.page.content());
+      entry.html = `attempt-${recorder.attempt.attempt}/${base}.html`;
+    } catch (e) {
+      entry.error = e.message;
+    }
+    recorder.attempt.steps.push(entry);
+  }
+
+  // Snapshots the page of the recorder active in this async context, if any
+  async function captureStep(step) {
+    const recorder = storage.getStore();
+    if (recorder) await capture(recorder, step);
+  }
+
+  async function finish(store, manifest, recorder, error) {
+    const { attempt } = recorder;
+    try {
+      await capture(recorder, error ? 'failure' : 'final');
+      if (recorder.tracing) {
+        await recorder.page.tracing.stop().catch((e) => (attempt.trace_error = e.message));
+        if (!attempt.trace_error) attempt.trace = `attempt-${attempt.attempt}/trace.json`;
+      }
+      attempt.finished_at = new Date().toISOString();
+      attempt.ok = !error;
+      attempt.error = error ? { message: redactString(error.message), code: error.code || null, step: error.step || null } : null;
+
+      if (mode === 'failure' && !error) {
+        fs.rmSync(recorder.folder, { recursive: true, force: true });
+        if (manifest.attempts.length === 0) {
+          fs.rmSync(path.dirname(recorder.folder), { recursive: true, force: true });
+          return;
+        }
+      } else {
+        manifest.attempts.push(attempt);
+      }
+      manifest.updated_at = attempt.finished_at;
+      store.save(manifest);
+    } catch (e) {
+      log.error(`Failed to write artifact bundle for ${manifest.action} ${manifest.job_id}: ${e.message}`);
+    }
+  }
+
+  function get(action, id) {
+    const manifest = manifestStore(action, id).load();
+    return manifest ? { ...manifest, dir: bundlePath(action, id) } : null;
+  }
+
+  // Removes bundles not updated within the retention window
+  function sweep(now = Date.now()) {
+    let removed = 0;
+    for (const action of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+      const actionDir = path.join(dir, action);
+      if (!fs.statSync(actionDir).isDirectory()) continue;
+      for (const name of fs.readdirSync(actionDir)) {
+        const bundleDir = path.join(actionDir, name);
+        let updatedAt;
+        try {
+          const manifest = JSON.parse(fs.readFileSync(path.join(bundleDir, 'manifest.json'), 'utf8'));
+          updatedAt = Date.parse(manifest.updated_at || manifest.created_at);
+        } catch (e) {
+          updatedAt = fs.statSync(bundleDir).mtimeMs;
+        }
+        if (now - updatedAt > retentionMs) {
+          fs.rmSync(bundleDir, { recursive: true, force: true });
+          removed++;
+        }
+      }
+    }
+    if (removed) log.info(`Removed ${removed} expired artifact bundle(s)`);
+    return removed;
+  }
+
+  function start() {
+    if (mode === 'off' || sweeper) return;
+    const run = () => {
+      try {
+        sweep();
+      } catch (e) {
+        log.error(`Artifact sweep failed: ${e.message}`);
+      }
+    };
+    run();
+    sweeper = setInterval(run, sweepIntervalMs);
+    sweeper.unref();
+  }
+
+  function stop() {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+
+  return { mode, record, captureStep, get, sweep, start, stop };
+}
+
+module.exports = { createArtifactStore, bundleDirName, MODES };
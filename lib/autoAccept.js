@@ -0,0 +1,227 @@
+/**
+ * Rules-based auto-accept for scraped offers.
+ *
+ * A rule matches an offer when every criterion it sets matches (a list
+ * matches if any entry does):
+ *   account, zip_codes, zip_prefixes, cities, states, categories,
+ *   warranty_companies
+ * Text criteria are case-insensitive substring matches. Rules are tried in
+ * ascending `priority`; the first match with room under its `daily_cap`
+ * enqueues an accept job using the rule's `preferences` and `callback_url`.
+ *
+ * An offer is accepted at most once per account. Offers that matched no
+ * rule or hit a cap are re-evaluated on every scrape, so rules added or
+ * caps reset later still apply; a decision is only recorded when it differs
+ * from the last one for that offer. Offers whose accept job was already
+ * queued elsewhere are recorded as "already_queued" and do not count
+ * towards a daily cap.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { offerKey } = require('./poller');
+const { log } = require('./logger');
+
+const LIST_FIELDS = ['zip_codes', 'zip_prefixes', 'cities', 'states', 'categories', 'warranty_companies'];
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+}
+
+function includesText(haystack, needles) {
+  const h = String(haystack || '').toLowerCase();
+  return !!h && needles.some((n) => h.includes(n.toLowerCase()));
+}
+
+function ruleMatches(rule, accountId, offer) {
+  if (rule.account && rule.account !== accountId) return false;
+  if (rule.zip_codes.length && !rule.zip_codes.includes(String(offer.zip || ''))) return false;
+  if (rule.zip_prefixes.length && !rule.zip_prefixes.some((p) => String(offer.zip || '').startsWith(p))) return false;
+  if (rule.cities.length && !rule.cities.some((c) => String(offer.city || '').toLowerCase() === c.toLowerCase())) return false;
+  if (rule.states.length && !rule.states.some((s) => String(offer.state || '').toLowerCase() === s.toLowerCase())) return false;
+  if (rule.categories.length && !includesText(offer.category, rule.categories)) return false;
+  if (rule.warranty_companies.length && !includesText(offer.warranty_company, rule.warranty_companies)) return false;
+  return true;
+}
+
+// Decisions after which an offer is never evaluated again
+const FINAL_DECISIONS = ['accept', 'already_queued'];
+
+function createAutoAccept({ filePath, enqueue, today, validatePreferences, enabled = false, maxDecisions = 2000 }) {
+  const store = createJsonStore(filePath, { rules: [], decisions: [] });
+  const state = store.load();
+  state.rules = state.rules || [];
+  state.decisions = state.decisions || [];
+
+  function persist() {
+    if (state.decisions.length > maxDecisions) state.decisions = state.decisions.slice(-maxDecisions);
+    try {
+      store.save(state);
+    } catch (e) {
+      log.error(`Failed to persist auto-accept rules: ${e.message}`);
+    }
+  }
+
+  // Returns { rule, errors }; merges `input` over `base` for updates
+  function buildRule(input, base = {}) {
+    const merged = { ...base, ...input };
+    const errors = [];
+    const rule = {
+      id: base.id || crypto.randomUUID(),
+      name: String(merged.name || '').trim(),
+      enabled: merged.enabled !== false,
+      priority: Number(merged.priority) || 0,
+      account: merged.account ? String(merged.account) : null,
+      daily_cap: merged.daily_cap === undefined || merged.daily_cap === null ? null : Number(merged.daily_cap),
+      preferences: merged.preferences || {},
+      callback_url: merged.callback_url || null,
+      created_at: base.created_at || new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+    for (const field of LIST_FIELDS) rule[field] = toList(merged[field]);
+
+    if (!rule.name) errors.push('name is required');
+    if (rule.daily_cap !== null && (!Number.isInteger(rule.daily_cap) || rule.daily_cap < 0)) {
+      errors.push('daily_cap must be a non-negative integer');
+    }
+    if (!LIST_FIELDS.some((f) => rule[f].length)) {
+      errors.push(`at least one of ${LIST_FIELDS.join(', ')} is required`);
+    }
+    errors.push(...validatePreferences(rule.preferences).map((e) => `preferences.${e}`));
+    return { rule, errors };
+  }
+
+  function listRules() {
+    return [...state.rules].sort((a, b) => a.priority - b.priority);
+  }
+
+  function getRule(id) {
+    return state.rules.find((r) => r.id === id) || null;
+  }
+
+  function createRule(input) {
+    const { rule, errors } = buildRule(input);
+    if (errors.length) return { errors };
+    state.rules.push(rule);
+    persist();
+    return { rule };
+  }
+
+  function updateRule(id, input) {
+    const existing = getRule(id);
+    if (!existing) return null;
+    const { rule, errors } = buildRule(input, existing);
+    if (errors.length) return { errors };
+    Object.assign(existing, rule);
+    persist();
+    return { rule: existing };
+  }
+
+  function deleteRule(id) {
+    const before = state.rules.length;
+    state.rules = state.rules.filter((r) => r.id !== id);
+    if (state.rules.length === before) return false;
+    persist();
+    return true;
+  }
+
+  function acceptedToday(ruleId) {
+    const day = today();
+    return state.decisions.filter((d) => d.rule_id === ruleId && d.decision === 'accept' && d.day === day).length;
+  }
+
+  function lastDecision(accountId, key) {
+    for (let i = state.decisions.length - 1; i >= 0; i--) {
+      const d = state.decisions[i];
+      if (d.account === accountId && d.offer_key === key) return d;
+    }
+    return null;
+  }
+
+  function record(decision) {
+    const entry = { id: crypto.randomUUID(), at: new Date().toISOString(), day: today(), ...decision };
+    state.decisions.push(entry);
+    log.info(
+      `Auto-accept ${entry.decision} for offer ${entry.offer_key} (${entry.account})` +
+        (entry.rule_name ? ` by rule "${entry.rule_name}"` : '') +
+        (entry.reason ? `: ${entry.reason}` : '')
+    );
+    return entry;
+  }
+
+  function decide(accountId, offer) {
+    const key = offerKey(offer);
+    const base = {
+      account: accountId,
+      offer_key: key,
+      offer_id: offer.offer_id || null,
+      swo_number: offer.swo_number || null,
+      accept_url: offer.accept_url,
+    };
+
+    const matching = listRules().filter((r) => r.enabled && ruleMatches(r, accountId, offer));
+    if (matching.length === 0) {
+      return { ...base, decision: 'no_match', rule_id: null, rule_name: null, reason: null };
+    }
+
+    for (const rule of matching) {
+      if (rule.daily_cap !== null && acceptedToday(rule.id) >= rule.daily_cap) continue;
+
+      const jobId = offer.swo_number || offer.offer_id || key;
+      const taskId = `auto:${rule.id}`;
+      const { created } = enqueue({
+        job_id: jobId,
+        task_id: taskId,
+        account: accountId,
+        accept_url: offer.accept_url,
+        preferences: rule.preferences,
+        callback_url: rule.callback_url,
+        auto_accept: { rule_id: rule.id, rule_name: rule.name },
+      });
+      return {
+        ...base,
+        decision: created ? 'accept' : 'already_queued',
+        rule_id: rule.id,
+        rule_name: rule.name,
+        job_id: jobId,
+        task_id: taskId,
+        reason: created ? null : 'accept job already queued',
+      };
+    }
+
+    const capped = matching[0];
+    return {
+      ...base,
+      decision: 'cap_reached',
+      rule_id: capped.id,
+      rule_name: capped.name,
+      reason: `daily cap of ${capped.daily_cap} reached`,
+    };
+  }
+
+  // Decides every offer not yet accepted for this account
+  function evaluate(accountId, offers) {
+    if (!enabled || state.rules.length === 0) return [];
+    const decisions = [];
+    for (const offer of offers) {
+      if (!offer.accept_url) continue;
+      const last = lastDecision(accountId, offerKey(offer));
+      if (last && FINAL_DECISIONS.includes(last.decision)) continue;
+      const decision = decide(accountId, offer);
+      if (last && last.decision === decision.decision && last.rule_id === decision.rule_id) continue;
+      decisions.push(record(decision));
+    }
+    if (decisions.length) persist();
+    return decisions;
+  }
+
+  function listDecisions({ limit = 100, rule_id } = {}) {
+    const filtered = rule_id ? state.decisions.filter((d) => d.rule_id === rule_id) : state.decisions;
+    return filtered.slice(-limit).reverse();
+  }
+
+  return { enabled, listRules, getRule, createRule, updateRule, deleteRule, evaluate, listDecisions };
+}
+
+module.exports = { createAutoAccept, ruleMatches };
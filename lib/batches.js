@@ -0,0 +1,92 @@
+/**
+ * Bookkeeping for batch accepts. A batch only records which queue jobs it
+ * created; per-offer state lives in the accept queue and is aggregated on
+ * read, so the two can never disagree.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { log } = require('./logger');
+
+const TERMINAL_STATES = ['succeeded', 'failed'];
+
+function createBatchStore({ filePath, maxBatches = 500 }) {
+  const store = createJsonStore(filePath, { batches: [] });
+  const batches = new Map();
+
+  for (const batch of store.load().batches || []) {
+    batches.set(batch.batch_id, batch);
+  }
+
+  function persist() {
+    // Oldest first in insertion order; drop the overflow
+    while (batches.size > maxBatches) {
+      batches.delete(batches.keys().next().value);
+    }
+    try {
+      store.save({ batches: [...batches.values()] });
+    } catch (e) {
+      log.error(`Failed to persist batches: ${e.message}`);
+    }
+  }
+
+  function create({ batch_id, account, concurrency, callback_url, items }) {
+    const batch = {
+      batch_id: batch_id || crypto.randomUUID(),
+      account,
+      concurrency,
+      callback_url: callback_url || null,
+      items: items.map(({ job_id, task_id, created }) => ({ job_id, task_id, created })),
+      created_at: new Date().toISOString(),
+    };
+    batches.set(batch.batch_id, batch);
+    persist();
+    return batch;
+  }
+
+  function get(batchId) {
+    return batches.get(batchId) || null;
+  }
+
+  return { create, get };
+}
+
+/**
+ * Aggregates a batch with the current queue records. `getJob(job_id, task_id)`
+ * returns the queue record or null once it has aged out of the queue.
+ */
+function summarizeBatch(batch, getJob) {
+  const counts = { queued: 0, running: 0, succeeded: 0, failed: 0, unknown: 0 };
+  const items = batch.items.map((item) => {
+    const job = getJob(item.job_id, item.task_id);
+    const state = job ? job.state : 'unknown';
+    counts[state] = (counts[state] || 0) + 1;
+    const result = job && job.result;
+    return {
+      job_id: item.job_id,
+      task_id: item.task_id,
+      duplicate: !item.created,
+      state,
+      attempts: job ? job.attempts : null,
+      selected_slot: result ? result.selected_slot : null,
+      outcome: result ? result.outcome : null,
+      error: job ? job.last_error : null,
+      error_code: job ? job.last_error_code || null : null,
+      updated_at: job ? job.updated_at : null,
+    };
+  });
+
+  const done = items.every((i) => TERMINAL_STATES.includes(i.state) || i.state === 'unknown');
+  return {
+    batch_id: batch.batch_id,
+    account: batch.account,
+    concurrency: batch.concurrency,
+    state: done ? 'completed' : counts.running || counts.succeeded || counts.failed ? 'running' : 'queued',
+    total: items.length,
+    counts,
+    items,
+    created_at: batch.created_at,
+  };
+}
+
+module.exports = { createBatchStore, summarizeBatch };
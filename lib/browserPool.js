@@ -0,0 +1,171 @@
+/**
+ * Shared Chromium instance with a bounded number of concurrent pages.
+ * Each page runs in its own incognito context; callers beyond the limit are
+ * queued until a page is released. A crashed or disconnected browser is
+ * dropped and relaunched on the next acquire.
+ */
+
+const puppeteer = require('puppeteer');
+const { log } = require('./logger');
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+};
+
+function createBrowserPool({
+  maxPages = 2,
+  queueTimeoutMs = 120000,
+  recycleAfterPages = 200,
+  launchOptions = DEFAULT_LAUNCH_OPTIONS,
+  viewport = { width: 1280, height: 800 },
+  onPageCreated = null,
+} = {}) {
+  let browser = null;
+  let launching = null;
+  let closing = false;
+  let activePages = 0;
+  let pagesSinceLaunch = 0;
+  const waiters = [];
+
+  const counters = {
+    launches: 0,
+    crashes: 0,
+    recycles: 0,
+    pages_served: 0,
+    queue_timeouts: 0,
+  };
+
+  async function getBrowser() {
+    if (browser && browser.isConnected()) return browser;
+    if (launching) return launching;
+
+    launching = (async () => {
+      log.info('Launching pooled browser...');
+      const b = await puppeteer.launch(launchOptions);
+      counters.launches++;
+      pagesSinceLaunch = 0;
+      b.on('disconnected', () => {
+        if (browser !== b) return;
+        browser = null;
+        if (!closing) {
+          counters.crashes++;
+          log.error('Pooled browser disconnected; will relaunch on next use');
+        }
+      });
+      browser = b;
+      return b;
+    })();
+
+    try {
+      return await launching;
+    } finally {
+      launching = null;
+    }
+  }
+
+  function acquireSlot() {
+    if (activePages < maxPages) {
+      activePages++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+      if (queueTimeoutMs > 0) {
+        waiter.timer = setTimeout(() => {
+          const idx = waiters.indexOf(waiter);
+          if (idx !== -1) waiters.splice(idx, 1);
+          counters.queue_timeouts++;
+          reject(new Error(`Timed out after ${queueTimeoutMs}ms waiting for a browser page`));
+        }, queueTimeoutMs);
+      }
+      waiters.push(waiter);
+    });
+  }
+
+  function releaseSlot() {
+    const next = waiters.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter; activePages is unchanged
+      clearTimeout(next.timer);
+      next.resolve();
+      return;
+    }
+    activePages--;
+    maybeRecycle();
+  }
+
+  function maybeRecycle() {
+    if (!browser || activePages > 0 || pagesSinceLaunch < recycleAfterPages) return;
+    const old = browser;
+    browser = null;
+    counters.recycles++;
+    log.info(`Recycling pooled browser after ${pagesSinceLaunch} pages`);
+    old.close().catch(() => {});
+  }
+
+  async function withPage(fn, options = {}) {
+    await acquireSlot();
+    let context = null;
+    try {
+      const b = await getBrowser();
+      context = await b.createIncognitoBrowserContext();
+      const page = await context.newPage();
+      pagesSinceLaunch++;
+      counters.pages_served++;
+
+      page.on('error', (err) => {
+        log.error('Page crashed', { error: err });
+      });
+
+      if (viewport) await page.setViewport(viewport);
+      if (onPageCreated) await onPageCreated(page, options);
+
+      return await fn(page);
+    } finally {
+      if (context) await context.close().catch(() => {});
+      releaseSlot();
+    }
+  }
+
+  // Launches the browser if needed and checks it answers, without taking a page slot
+  async function ping({ timeoutMs = 15000 } = {}) {
+    const startedAt = Date.now();
+    let timer = null;
+    try {
+      const version = await Promise.race([
+        getBrowser().then((b) => b.version()),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Browser did not respond within ${timeoutMs}ms`)), timeoutMs);
+        }),
+      ]);
+      return { ok: true, version, latency_ms: Date.now() - startedAt };
+    } catch (error) {
+      return { ok: false, error: error.message, latency_ms: Date.now() - startedAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function stats() {
+    return {
+      max_pages: maxPages,
+      active_pages: activePages,
+      queued: waiters.length,
+      browser_connected: !!(browser && browser.isConnected()),
+      pages_since_launch: pagesSinceLaunch,
+      ...counters,
+    };
+  }
+
+  async function close() {
+    closing = true;
+    const b = browser;
+    browser = null;
+    if (b) await b.close().catch(() => {});
+  }
+
+  return { withPage, ping, stats, close };
+}
+
+module.exports = { createBrowserPool, DEFAULT_LAUNCH_OPTIONS };
@@ -0,0 +1,153 @@
+/**
+ * Callback delivery with retries, HMAC signing and a persisted dead-letter
+ * list. Network errors, 429 and 5xx responses are retried with exponential
+ * backoff; anything still undelivered afterwards (or rejected with another
+ * 4xx) is kept so it can be inspected and redelivered later.
+ *
+ * Signature: X-Worker-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * where timestamp is the X-Worker-Timestamp header (unix seconds).
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { log } = require('./logger');
+
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function createCallbackDelivery({
+  filePath,
+  signingSecret = null,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000,
+  timeoutMs = 15000,
+  maxDeadLetters = 500,
+  onAttempt = null,
+}) {
+  const store = createJsonStore(filePath, { failed: [] });
+  let failed = store.load().failed || [];
+
+  if (!signingSecret) {
+    log.info('No callback signing secret configured; callbacks will be unsigned');
+  }
+
+  function persist() {
+    if (failed.length > maxDeadLetters) failed = failed.slice(-maxDeadLetters);
+    try {
+      store.save({ failed });
+    } catch (e) {
+      log.error(`Failed to persist callback dead letters: ${e.message}`);
+    }
+  }
+
+  async function attempt(url, payload, deliveryId) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Worker-Delivery-Id': deliveryId,
+      'X-Worker-Timestamp': String(timestamp),
+    };
+    if (signingSecret) headers['X-Worker-Signature'] = signPayload(signingSecret, timestamp, body);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (response.ok) return { ok: true, status: response.status };
+      return {
+        ok: false,
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+        error: `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      return { ok: false, status: null, retryable: true, error: error.message };
+    }
+  }
+
+  async function send(url, payload, deliveryId) {
+    let last = null;
+    let attempts = 0;
+    for (let i = 1; i <= maxAttempts; i++) {
+      attempts = i;
+      last = await attempt(url, payload, deliveryId);
+      if (onAttempt) onAttempt(last);
+      if (last.ok) {
+        log.info(`Callback ${deliveryId} delivered (${last.status}) on attempt ${i}`);
+        return { delivered: true, attempts: i, status: last.status };
+      }
+      log.error(`Callback ${deliveryId} attempt ${i}/${maxAttempts} failed: ${last.error}`);
+      if (!last.retryable || i === maxAttempts) break;
+      const wait = Math.min(maxDelayMs, baseDelayMs * 2 ** (i - 1));
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+    return { delivered: false, attempts, status: last.status, error: last.error };
+  }
+
+  async function deliver(url, payload) {
+    const id = crypto.randomUUID();
+    if (!url) {
+      log.info('No callback URL; skipping delivery');
+      return { id, delivered: false, skipped: true };
+    }
+
+    log.info(`Sending callback ${id} to ${url}`);
+    const result = await send(url, payload, id);
+    if (!result.delivered) {
+      failed.push({
+        id,
+        url,
+        payload,
+        attempts: result.attempts,
+        last_status: result.status,
+        last_error: result.error,
+        first_failed_at: new Date().toISOString(),
+        last_failed_at: new Date().toISOString(),
+      });
+      persist();
+      log.error(`Callback ${id} moved to dead-letter list`);
+    }
+    return { id, ...result };
+  }
+
+  async function redeliver(id) {
+    const entry = failed.find((f) => f.id === id);
+    if (!entry) return null;
+
+    const result = await send(entry.url, entry.payload, entry.id);
+    if (result.delivered) {
+      failed = failed.filter((f) => f.id !== id);
+    } else {
+      Object.assign(entry, {
+        attempts: entry.attempts + result.attempts,
+        last_status: result.status,
+        last_error: result.error,
+        last_failed_at: new Date().toISOString(),
+      });
+    }
+    persist();
+    return { id, ...result };
+  }
+
+  function listFailed() {
+    return failed.map(({ payload, ...entry }) => {
+      const { screenshot_base64, ...rest } = payload || {};
+      return { ...entry, payload: { ...rest, has_screenshot: !!(screenshot_base64 || rest.screenshot_url) } };
+    });
+  }
+
+  return { deliver, redeliver, listFailed };
+}
+
+module.exports = { createCallbackDelivery, signPayload };
@@ -0,0 +1,97 @@
+/**
+ * Machine-readable error taxonomy for the login, scrape and accept flows.
+ * Every failure reported over HTTP or in a callback carries a stable `code`,
+ * a `retryable` hint and the `step` where it happened, so callers never have
+ * to string-match error messages.
+ */
+
+// code -> whether retrying the same request may succeed
+const ERROR_CODES = {
+  INVALID_REQUEST: false,
+  UNKNOWN_ACCOUNT: false,
+  UNAUTHORIZED: false,
+  NOT_FOUND: false,
+  LINK_EXPIRED: false,
+  CREDENTIALS_MISSING: false,
+  LOGIN_INVALID_CREDENTIALS: false,
+  LOGIN_BACKOFF: false,
+  LOGIN_CIRCUIT_OPEN: false,
+  LOGIN_FORM_NOT_FOUND: true,
+  LOGIN_FAILED: true,
+  SESSION_EXPIRED: true,
+  NAVIGATION_TIMEOUT: true,
+  NAVIGATION_FAILED: true,
+  BROWSER_UNAVAILABLE: true,
+  NO_SLOTS: false,
+  NO_MATCHING_SLOT: false,
+  OFFER_ALREADY_TAKEN: false,
+  SLOT_UNAVAILABLE: false,
+  SUBMIT_REJECTED: false,
+  SUBMIT_NOT_FOUND: false,
+  CONFIRMATION_UNKNOWN: false,
+  INTERNAL_ERROR: false,
+};
+
+class WorkerError extends Error {
+  constructor(code, message, { step = null, retryable, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'WorkerError';
+    this.code = ERROR_CODES[code] === undefined ? 'INTERNAL_ERROR' : code;
+    this.retryable = typeof retryable === 'boolean' ? retryable : ERROR_CODES[this.code];
+    this.step = step;
+  }
+}
+
+// Maps errors thrown by Puppeteer, fetch or the pool onto the taxonomy
+function classify(error) {
+  const msg = String((error && error.message) || '');
+  if (error && error.name === 'TimeoutError') return 'NAVIGATION_TIMEOUT';
+  if (/Navigation timeout|timeout .* exceeded/i.test(msg)) return 'NAVIGATION_TIMEOUT';
+  if (/net::ERR_/i.test(msg)) return 'NAVIGATION_FAILED';
+  if (/Target closed|Session closed|Protocol error|browser has disconnected|Failed to launch|waiting for a browser page|Could not find Chrome/i.test(msg)) {
+    return 'BROWSER_UNAVAILABLE';
+  }
+  return 'INTERNAL_ERROR';
+}
+
+/**
+ * Returns a WorkerError for any thrown value. Existing WorkerErrors keep
+ * their code; `step` is only filled in when not already set, so the
+ * innermost step wins.
+ */
+function toWorkerError(error, step = null) {
+  if (error instanceof WorkerError) {
+    if (!error.step && step) error.step = step;
+    return error;
+  }
+  const known = error && typeof error.code === 'string' && ERROR_CODES[error.code] !== undefined;
+  const wrapped = new WorkerError(known ? error.code : classify(error), (error && error.message) || String(error), {
+    step: (known && error.step) || step,
+    cause: error,
+  });
+  // Keep diagnostics that callers attached to the original error
+  for (const key of ['screenshot', 'available_slots', 'outcome']) {
+    if (error && error[key] !== undefined) wrapped[key] = error[key];
+  }
+  return wrapped;
+}
+
+// Runs fn and tags any failure with the step name
+async function withStep(step, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw toWorkerError(error, step);
+  }
+}
+
+function errorPayload(error) {
+  const e = toWorkerError(error);
+  return { error: e.message, error_code: e.code, retryable: e.retryable, step: e.step };
+}
+
+function isRetryable(error) {
+  return toWorkerError(error).retryable;
+}
+
+module.exports = { ERROR_CODES, WorkerError, toWorkerError, withStep, errorPayload, isRetryable };
@@ -0,0 +1,37 @@
+/**
+ * Label aliases shared by the offer list columns (lib/offers) and the offer
+ * page fields (lib/offerDetails), so both name a portal label the same way.
+ */
+
+// Checked in order; the first key with an alias at the start of a word in
+// the label wins ("service address" is an address, not a service type).
+const FIELD_ALIASES = [
+  ['swo_number', ['swo', 'work order', 'job #', 'job number', 'job no', 'ticket']],
+  ['address', ['address', 'street']],
+  ['zip', ['zip', 'postal']],
+  ['city', ['city', 'location', 'area']],
+  ['state', ['state']],
+  ['customer_name', ['customer', 'homeowner', 'contract holder', 'member']],
+  ['warranty_company', ['warranty', 'home warranty', 'client', 'provider', 'company']],
+  ['brand', ['brand', 'manufacturer', 'make']],
+  ['model', ['model']],
+  ['appliance', ['appliance', 'equipment', 'item', 'unit', 'category', 'trade', 'service', 'type']],
+  ['problem', ['problem', 'issue', 'complaint', 'symptom', 'description', 'reported']],
+  ['notes', ['note', 'comment', 'instruction', 'remark']],
+  ['offered_date', ['offered', 'offer date', 'date', 'received', 'created', 'dispatched']],
+];
+
+const startsWord = (text, word) =>
+  new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(text);
+
+// Field key for a label such as "SWO #:" or "Home Warranty Co.", or null
+function keyForLabel(label) {
+  const l = String(label || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!l) return null;
+  for (const [key, words] of FIELD_ALIASES) {
+    if (words.some((w) => startsWord(l, w))) return key;
+  }
+  return null;
+}
+
+module.exports = { FIELD_ALIASES, keyForLabel };
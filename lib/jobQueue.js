@@ -0,0 +1,256 @@
+/**
+ * Persistent accept job queue.
+ * Jobs are keyed by job_id + task_id so a repeated POST never starts a second
+ * accept. State is flushed to disk on every transition; on boot, jobs that
+ * were queued or mid-run are picked up again.
+ *
+ * States: queued -> running -> succeeded | failed
+ *         running -> queued (transient failure, attempts left)
+ *
+ * Jobs enqueued with a group (e.g. a batch) can carry their own concurrency
+ * limit on top of the queue-wide one.
+ *
+ * A handler calls commit() right before an irreversible step (e.g. clicking
+ * accept). Committed jobs are never retried or resumed, because running them
+ * again could act on the portal twice.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+const { log, runWithContext } = require('./logger');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Errors may carry a taxonomy code and step (see lib/errors.js)
+function errorFields(error) {
+  return {
+    last_error: error.message,
+    last_error_code: error.code || null,
+    last_error_step: error.step || null,
+  };
+}
+
+function jobKey(jobId, taskId) {
+  return `${jobId}::${taskId == null ? '' : taskId}`;
+}
+
+function createJobQueue({
+  filePath,
+  handler,
+  onFinished = null,
+  isRetryable = () => false,
+  summarizeResult = (result) => result,
+  concurrency = 1,
+  maxAttempts = 3,
+  retryDelayMs = 5000,
+  retentionMs = DAY_MS * 7,
+  contextFor = null,
+}) {
+  const store = createJsonStore(filePath, { jobs: [] });
+  const jobs = new Map();
+  let running = 0;
+  let started = false;
+  let wakeTimer = null;
+
+  for (const job of store.load().jobs || []) {
+    jobs.set(job.key, job);
+  }
+
+  function persist() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [key, job] of jobs) {
+      if ((job.state === 'succeeded' || job.state === 'failed') && Date.parse(job.updated_at) < cutoff) {
+        jobs.delete(key);
+      }
+    }
+    try {
+      store.save({ jobs: [...jobs.values()] });
+    } catch (e) {
+      log.error(`Failed to persist job queue: ${e.message}`);
+    }
+  }
+
+  function touch(job, changes) {
+    Object.assign(job, changes, { updated_at: new Date().toISOString() });
+    persist();
+  }
+
+  function enqueue(payload, { group = null, groupLimit = null } = {}) {
+    const key = jobKey(payload.job_id, payload.task_id);
+    const existing = jobs.get(key);
+    if (existing) return { job: existing, created: false };
+
+    const now = new Date().toISOString();
+    const job = {
+      key,
+      job_id: payload.job_id,
+      task_id: payload.task_id,
+      state: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      last_error: null,
+      last_error_code: null,
+      last_error_step: null,
+      result: null,
+      committed: false,
+      payload,
+      group,
+      group_limit: groupLimit,
+      next_attempt_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+    jobs.set(key, job);
+    persist();
+    pump();
+    return { job, created: true };
+  }
+
+  function get(jobId, taskId) {
+    if (taskId != null) return jobs.get(jobKey(jobId, taskId)) || null;
+    let latest = null;
+    for (const job of jobs.values()) {
+      if (String(job.job_id) !== String(jobId)) continue;
+      if (!latest || job.updated_at > latest.updated_at) latest = job;
+    }
+    return latest;
+  }
+
+  function groupFull(job) {
+    if (!job.group || !job.group_limit) return false;
+    let active = 0;
+    for (const other of jobs.values()) {
+      if (other.state === 'running' && other.group === job.group) active++;
+    }
+    return active >= job.group_limit;
+  }
+
+  function nextRunnable() {
+    const now = Date.now();
+    let soonest = null;
+    for (const job of jobs.values()) {
+      if (job.state !== 'queued' || groupFull(job)) continue;
+      const at = job.next_attempt_at ? Date.parse(job.next_attempt_at) : 0;
+      if (at <= now) return { job };
+      if (soonest === null || at < soonest) soonest = at;
+    }
+    return { wakeAt: soonest };
+  }
+
+  function pump() {
+    if (!started) return;
+    while (running < concurrency) {
+      const { job, wakeAt } = nextRunnable();
+      if (!job) {
+        scheduleWake(wakeAt);
+        return;
+      }
+      run(job);
+    }
+  }
+
+  function scheduleWake(at) {
+    if (at === null || at === undefined) return;
+    clearTimeout(wakeTimer);
+    wakeTimer = setTimeout(pump, Math.max(0, at - Date.now()));
+    wakeTimer.unref();
+  }
+
+  // Each job gets its own log context so it never inherits the caller's
+  function inJobContext(job, fn) {
+    const fields = { job_id: job.job_id, task_id: job.task_id, ...(contextFor ? contextFor(job.payload) : {}) };
+    return runWithContext(fields, fn, { fresh: true });
+  }
+
+  function run(job) {
+    return inJobContext(job, () => execute(job));
+  }
+
+  async function execute(job) {
+    running++;
+    touch(job, { state: 'running', attempts: job.attempts + 1, next_attempt_at: null, committed: false });
+    log.info(`Job ${job.key} attempt ${job.attempts}/${job.max_attempts}`);
+
+    let outcome;
+    try {
+      const commit = () => touch(job, { committed: true });
+      const result = await handler(job.payload, { job, commit });
+      touch(job, { state: 'succeeded', result: summarizeResult(result), last_error: null, last_error_code: null, last_error_step: null });
+      outcome = { result };
+    } catch (error) {
+      const retry = !job.committed && job.attempts < job.max_attempts && isRetryable(error);
+      if (retry) {
+        const wait = retryDelayMs * 2 ** (job.attempts - 1);
+        log.info(`Job ${job.key} failed transiently (${error.message}); retrying in ${wait}ms`);
+        touch(job, {
+          state: 'queued',
+          ...errorFields(error),
+          next_attempt_at: new Date(Date.now() + wait).toISOString(),
+        });
+      } else {
+        touch(job, { state: 'failed', ...errorFields(error) });
+        outcome = { error };
+      }
+    } finally {
+      running--;
+    }
+
+    // The slot is free again; callback retries must not hold it
+    pump();
+    if (outcome && onFinished) {
+      try {
+        await onFinished(job, outcome);
+      } catch (e) {
+        log.error(`onFinished error for ${job.key}`, { error: e });
+      }
+    }
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    let resumed = 0;
+    const interrupted = [];
+    for (const job of jobs.values()) {
+      if (job.state === 'running' && job.committed) {
+        // Stopped after the irreversible step; we cannot know the outcome
+        job.state = 'failed';
+        job.last_error = 'Worker restarted after submitting; outcome unknown';
+        job.last_error_code = 'CONFIRMATION_UNKNOWN';
+        job.last_error_step = 'submit';
+        job.updated_at = new Date().toISOString();
+        interrupted.push(job);
+      } else if (job.state === 'running') {
+        // Interrupted mid-run by a restart; the attempt already counted
+        job.state = 'queued';
+        resumed++;
+      } else if (job.state === 'queued') {
+        resumed++;
+      }
+    }
+    if (resumed > 0 || interrupted.length > 0) {
+      log.info(`Resuming ${resumed} unfinished job(s), ${interrupted.length} interrupted after submit`);
+      persist();
+    }
+    for (const job of interrupted) {
+      if (onFinished) {
+        const error = Object.assign(new Error(job.last_error), { code: job.last_error_code, step: job.last_error_step });
+        inJobContext(job, () =>
+          Promise.resolve(onFinished(job, { error })).catch((e) =>
+            log.error(`onFinished error for ${job.key}`, { error: e })
+          )
+        );
+      }
+    }
+    pump();
+  }
+
+  function stats() {
+    const byState = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+    for (const job of jobs.values()) byState[job.state] = (byState[job.state] || 0) + 1;
+    return { concurrency, in_flight: running, ...byState };
+  }
+
+  return { enqueue, get, start, stats };
+}
+
+module.exports = { createJobQueue, jobKey };
@@ -0,0 +1,34 @@
+/**
+ * Tiny JSON file persistence used by the worker's local state (job queue,
+ * callback dead letters, ...). Writes go to a temp file first and are then
+ * renamed over the target so a crash never leaves a half-written file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+function createJsonStore(filePath, defaults) {
+  function load() {
+    try {
+      const raw = fs.readFileSync(filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        log.error(`Could not read ${filePath}: ${e.message}`);
+      }
+      return typeof defaults === 'function' ? defaults() : defaults;
+    }
+  }
+
+  function save(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, filePath);
+  }
+
+  return { load, save, filePath };
+}
+
+module.exports = { createJsonStore };
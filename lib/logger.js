@@ -0,0 +1,125 @@
+/**
+ * Structured JSON logger. Every line is one JSON object carrying the
+ * correlation fields of the current async context (request_id, job_id,
+ * task_id, account, step, ...), set with runWithContext()/addContext().
+ *
+ * Credentials, cookies, signatures and portal tokens are redacted by key;
+ * vid/exp query parameters and email addresses (usernames) are scrubbed out
+ * of any logged string.
+ * LOG_LEVEL selects the minimum level: debug, info (default), warn, error
+ * or silent.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[redacted]';
+const SECRET_KEYS = /^(pass(word)?|secret|token|cookies?|authorization|signature|vid|exp|screenshot_base64|api_?key)$|_(secret|password|token)$/i;
+const IDENTITY_KEYS = /^(username|email)$/i;
+// Ad-hoc accounts are keyed by username, so account ids can be emails too
+const ACCOUNT_KEYS = /(^|_)account$/i;
+const MAX_DEPTH = 6;
+
+const storage = new AsyncLocalStorage();
+let threshold = resolveLevel(process.env.LOG_LEVEL);
+
+function resolveLevel(level) {
+  const key = String(level || 'info').toLowerCase();
+  return LEVELS[key] === undefined ? LEVELS.info : LEVELS[key];
+}
+
+function setLevel(level) {
+  threshold = resolveLevel(level);
+}
+
+function levelName() {
+  return Object.keys(LEVELS).find((k) => LEVELS[k] === threshold);
+}
+
+// "tech@example.com" -> "t***@example.com"
+function maskIdentity(value) {
+  const s = String(value);
+  const at = s.indexOf('@');
+  if (at > 0) return `${s[0]}***${s.slice(at)}`;
+  return s.length > 2 ? `${s[0]}***` : '***';
+}
+
+function redactString(value) {
+  return String(value)
+    .replace(/([?&](?:vid|exp)=)[^&\s"'#<>]+/gi, `$1${REDACTED}`)
+    .replace(/(password|secret|signature)=([^&\s"']+)/gi, `$1=${REDACTED}`)
+    .replace(/\b([A-Za-z0-9])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g, '$1***@$2');
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (value instanceof Error) {
+    return { message: redactString(value.message), code: value.code, step: value.step };
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (v === null || v === undefined) out[key] = v;
+    else if (SECRET_KEYS.test(key)) out[key] = REDACTED;
+    else if (IDENTITY_KEYS.test(key)) out[key] = maskIdentity(v);
+    else if (ACCOUNT_KEYS.test(key) && String(v).includes('@')) out[key] = maskIdentity(v);
+    else out[key] = redact(v, depth + 1);
+  }
+  return out;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(msg),
+    ...redact(storage.getStore() || {}),
+    ...redact(fields || {}),
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Runs fn with the given fields added to the current correlation context.
+ * Work that outlives the code that started it (queue jobs, timers) passes
+ * `fresh: true` so it does not inherit the context of whoever kicked it off.
+ */
+function runWithContext(fields, fn, { fresh = false } = {}) {
+  const parent = fresh ? {} : storage.getStore() || {};
+  return storage.run({ ...parent, ...fields }, fn);
+}
+
+// Adds fields to the current context (e.g. the account once it is resolved)
+function addContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function currentContext() {
+  return { ...(storage.getStore() || {}) };
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+module.exports = {
+  log,
+  LEVELS,
+  setLevel,
+  levelName,
+  redact,
+  redactString,
+  runWithContext,
+  addContext,
+  currentContext,
+};
@@ -0,0 +1,134 @@
+/**
+ * Minimal Prometheus metrics registry (counters, gauges, histograms with
+ * labels) rendered in the text exposition format for GET /metrics.
+ * Gauges that mirror live state are filled by `collect` callbacks right
+ * before rendering instead of being updated everywhere.
+ */
+
+const { log } = require('./logger');
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function formatLabels(labels, extra = null) {
+  const all = extra ? { ...labels, ...extra } : labels;
+  const parts = Object.keys(all).map((k) => `${k}="${escapeLabel(all[k])}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+  const collectors = [];
+
+  function register(type, name, help) {
+    const metric = { type, name: `${prefix}${name}`, help, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function series(metric, labels, init) {
+    const key = labelKey(labels);
+    let entry = metric.series.get(key);
+    if (!entry) {
+      entry = { labels: { ...labels }, ...init() };
+      metric.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  function counter(name, help) {
+    const metric = register('counter', name, help);
+    return {
+      inc(labels = {}, amount = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  function gauge(name, help) {
+    const metric = register('gauge', name, help);
+    return {
+      set(labels, value) {
+        if (typeof labels === 'number') [labels, value] = [{}, labels];
+        series(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help);
+    const bounds = [...buckets].sort((a, b) => a - b);
+    metric.buckets = bounds;
+    const api = {
+      observe(labels, value) {
+        const entry = series(metric, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      // Runs fn and records its duration in seconds, failures included
+      async time(labels, fn) {
+        const startedAt = process.hrtime.bigint();
+        try {
+          return await fn();
+        } finally {
+          api.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        }
+      },
+    };
+    return api;
+  }
+
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function render() {
+    for (const fn of collectors) {
+      try {
+        fn();
+      } catch (e) {
+        log.error(`Metrics collector failed: ${e.message}`);
+      }
+    }
+
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const entry of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+          continue;
+        }
+        // Prometheus buckets are cumulative; counts are already per upper bound
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels(entry.labels, { le: formatValue(bound) })} ${entry.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+module.exports = { createMetricsRegistry, DEFAULT_BUCKETS };
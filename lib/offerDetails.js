@@ -0,0 +1,112 @@
+/**
+ * Read-only extraction of the labeled fields on a RelyHome offer.php page.
+ * Nothing on the page is clicked; callers get every label/value pair found
+ * plus a summary of the fields we know how to name.
+ */
+
+const { parseLocation } = require('./offers');
+const { keyForLabel } = require('./fieldAliases');
+
+async function readLabeledFields(page) {
+  return await page.evaluate(() => {
+    const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+    const isLabel = (s) => s.length > 0 && s.length <= 60;
+    const pairs = [];
+    const add = (label, value, source) => {
+      const l = clean(label).replace(/[:\s]+$/, '');
+      const v = clean(value);
+      if (isLabel(l) && v) pairs.push({ label: l, value: v, source });
+    };
+    // Slot pickers and buttons are not offer fields
+    const skip = (el) => el && el.querySelector('input[type="radio"], input[type="submit"], button');
+
+    for (const tr of document.querySelectorAll('tr')) {
+      if (skip(tr)) continue;
+      const cells = Array.from(tr.children).filter((c) => c.tagName === 'TD' || c.tagName === 'TH');
+      if (cells.length === 2) {
+        add(cells[0].innerText, cells[1].innerText, 'table');
+      } else if (cells.length >= 4 && cells.length % 2 === 0) {
+        // "Label: | value | Label: | value" rows
+        const labelled = cells.filter((_, i) => i % 2 === 0).every((c) => /:\s*$/.test(clean(c.innerText)));
+        if (!labelled) continue;
+        for (let i = 0; i < cells.length; i += 2) add(cells[i].innerText, cells[i + 1].innerText, 'table');
+      }
+    }
+
+    for (const dt of document.querySelectorAll('dt')) {
+      const dd = dt.nextElementSibling;
+      if (dd && dd.tagName === 'DD') add(dt.innerText, dd.innerText, 'list');
+    }
+
+    // <b>Label:</b> value<br>
+    for (const b of document.querySelectorAll('b, strong, label, span')) {
+      const label = clean(b.innerText);
+      if (!/:$/.test(label) || b.closest('tr') || skip(b.parentElement)) continue;
+      let value = '';
+      for (let node = b.nextSibling; node; node = node.nextSibling) {
+        if (node.nodeType === 1 && /^(BR|B|STRONG|LABEL|P|DIV|TABLE)$/.test(node.tagName)) break;
+        value += node.textContent;
+      }
+      add(label, value, 'inline');
+    }
+
+    for (const field of document.querySelectorAll('textarea, input[readonly], select[disabled]')) {
+      const label = field.id && document.querySelector(`label[for="${field.id}"]`);
+      const value = field.tagName === 'SELECT' ? field.options[field.selectedIndex]?.text : field.value;
+      add(label ? label.innerText : field.name, value, 'form');
+    }
+
+    return pairs;
+  });
+}
+
+function fieldKey(label) {
+  return String(label).toLowerCase().replace(/#/g, ' number').replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function parseOfferDetails(pairs) {
+  const fields = [];
+  const seen = new Set();
+  for (const { label, value, source } of pairs) {
+    const key = fieldKey(label);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    fields.push({ key, label, value, source });
+  }
+
+  const summary = {};
+  for (const { label, value } of fields) {
+    const key = keyForLabel(label);
+    if (key && !summary[key]) summary[key] = value;
+  }
+
+  // "City" is often "Springfield, IL 62704"; the address may carry the zip
+  const location = parseLocation(summary.city || '');
+  const zip = (summary.zip || '').match(/\b(\d{5})\b/) || (summary.address || '').match(/\b(\d{5})\b/);
+  return {
+    summary: {
+      swo_number: summary.swo_number || null,
+      customer_name: summary.customer_name || null,
+      address: summary.address || null,
+      city: location.city,
+      state: summary.state || location.state,
+      zip: zip ? zip[1] : location.zip,
+      warranty_company: summary.warranty_company || null,
+      appliance: summary.appliance || null,
+      brand: summary.brand || null,
+      model: summary.model || null,
+      problem: summary.problem || null,
+      notes: summary.notes || null,
+    },
+    fields,
+  };
+}
+
+async function extractOfferDetails(page) {
+  return parseOfferDetails(await readLabeledFields(page));
+}
+
+module.exports = {
+  extractOfferDetails,
+  parseOfferDetails,
+};
@@ -0,0 +1,168 @@
+/**
+ * Structured parsing of the RelyHome available-swo offer table.
+ * Columns are located by their header text, so reordering on the portal side
+ * does not shift values into the wrong fields.
+ */
+
+const { keyForLabel } = require('./fieldAliases');
+const { zonedTimeToDate } = require('./slots');
+
+// Offer list fields, by the shared alias key of their column header
+const OFFER_COLUMN_KEYS = {
+  swo_number: 'swo_number',
+  warranty_company: 'warranty_company',
+  zip: 'zip',
+  city: 'city',
+  state: 'state',
+  appliance: 'category',
+  offered_date: 'offered_date',
+};
+
+async function readOfferTable(page, linkSelector) {
+  return await page.evaluate((linkSelector) => {
+    const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+    const rows = [];
+    const tables = Array.from(document.querySelectorAll('table')).filter((t) =>
+      t.querySelector(linkSelector)
+    );
+
+    for (const table of tables) {
+      const headerRow =
+        table.querySelector('thead tr') ||
+        Array.from(table.querySelectorAll('tr')).find((tr) => tr.querySelector('th'));
+      if (!headerRow) continue;
+
+      // Expand colspans so header positions line up with body cells
+      const headers = [];
+      for (const cell of headerRow.querySelectorAll('th, td')) {
+        const span = Math.max(1, Number(cell.getAttribute('colspan')) || 1);
+        for (let i = 0; i < span; i++) headers.push(clean(cell.innerText || cell.textContent));
+      }
+
+      for (const tr of table.querySelectorAll('tr')) {
+        if (tr === headerRow) continue;
+        const link = tr.querySelector(linkSelector);
+        if (!link) continue;
+
+        const cells = [];
+        let pos = 0;
+        for (const cell of tr.querySelectorAll('td, th')) {
+          const span = Math.max(1, Number(cell.getAttribute('colspan')) || 1);
+          cells.push({ header: headers[pos] || '', position: pos, value: clean(cell.innerText || cell.textContent) });
+          pos += span;
+        }
+
+        rows.push({
+          href: link.href,
+          link_text: clean(link.innerText || link.textContent),
+          cells,
+          row_text: clean(tr.innerText),
+        });
+      }
+    }
+
+    return rows;
+  }, linkSelector);
+}
+
+// Columns by header text and the known fields among them (first column wins)
+function mapCells(cells) {
+  const columns = {};
+  const fields = {};
+  for (const { header, position, value } of cells) {
+    columns[header || `column_${position + 1}`] = value;
+    const key = OFFER_COLUMN_KEYS[keyForLabel(header)];
+    if (key && value && !fields[key]) fields[key] = value;
+  }
+  return { columns, fields };
+}
+
+function parseOfferParams(href) {
+  try {
+    const url = new URL(href);
+    return Object.fromEntries(url.searchParams.entries());
+  } catch (e) {
+    return {};
+  }
+}
+
+// "Springfield, IL 62704" / "Springfield IL" / "62704"
+function parseLocation(text) {
+  const out = { city: null, state: null, zip: null };
+  if (!text) return out;
+  const zip = text.match(/\b(\d{5})(?:-\d{4})?\b/);
+  if (zip) out.zip = zip[1];
+  const rest = text.replace(/\b\d{5}(?:-\d{4})?\b/, '').replace(/[,\s]+$/, '').trim();
+  const cityState = rest.match(/^(.+?)[,\s]+([A-Z]{2})$/);
+  if (cityState) {
+    out.city = cityState[1].trim();
+    out.state = cityState[2];
+  } else if (rest) {
+    out.city = rest;
+  }
+  return out;
+}
+
+// "10/19/2026 2:30 PM" is wall-clock time in the portal's timezone
+function parseOfferedDate(text, timeZone) {
+  if (!text) return null;
+  const m = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})(?:\s+(\d{1,2}):(\d{2})\s*(am|pm)?)?/i);
+  let d = null;
+  if (m) {
+    let year = Number(m[3]);
+    if (year < 100) year += 2000;
+    let hours = Number(m[4] || 0);
+    if (m[6]) hours = (hours % 12) + (m[6].toLowerCase() === 'pm' ? 12 : 0);
+    d = zonedTimeToDate(`${year}-${m[1]}-${m[2]}`, hours * 60 + Number(m[5] || 0), timeZone);
+  } else {
+    d = new Date(text);
+  }
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function parseOfferRow(row, { timeZone } = {}) {
+  const fields = row.fields || {};
+  const params = parseOfferParams(row.href);
+
+  const location = parseLocation(fields.city || fields.zip || '');
+  const zipFromField = fields.zip && fields.zip.match(/\b(\d{5})\b/);
+
+  const swoNumber =
+    fields.swo_number ||
+    params.swo ||
+    params.swo_id ||
+    params.swono ||
+    (row.row_text.match(/\bSWO[#:\s-]*(\d{4,})/i) || [])[1] ||
+    null;
+
+  return {
+    offer_id: params.id || params.offer_id || params.oid || params.offerid || swoNumber || null,
+    swo_number: swoNumber,
+    city: location.city,
+    state: fields.state || location.state,
+    zip: zipFromField ? zipFromField[1] : location.zip,
+    category: fields.category || null,
+    warranty_company: fields.warranty_company || null,
+    offered_date: fields.offered_date || null,
+    offered_at: parseOfferedDate(fields.offered_date, timeZone),
+    offer_params: params,
+    accept_url: row.href,
+    columns: row.columns,
+  };
+}
+
+// `linkSelector` comes from the selector profile (offer_list.offer_link);
+// `timeZone` is the portal's, for reading offered dates
+async function extractOffers(page, { linkSelector = 'a[href*="offer.php"]', timeZone } = {}) {
+  const rows = await readOfferTable(page, linkSelector);
+  return rows.map(({ cells, ...row }) => parseOfferRow({ ...row, ...mapCells(cells) }, { timeZone }));
+}
+
+module.exports = {
+  OFFER_COLUMN_KEYS,
+  extractOffers,
+  mapCells,
+  parseOfferRow,
+  parseLocation,
+};
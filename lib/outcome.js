@@ -0,0 +1,128 @@
+/**
+ * Classifies the page RelyHome shows after an offer is submitted.
+ * Checks run from most to least specific: "this offer was already accepted"
+ * and "could not be accepted" also contain "accepted", so rejections and
+ * failures must win over the success phrases, and a slot-level rejection
+ * must win over the generic "no longer available".
+ *
+ * Success is only read from whole phrases ("has been accepted"), never from
+ * a bare word, and callers pass the page's main content without navigation,
+ * where a "Scheduled Jobs" link would otherwise look like a confirmation.
+ */
+
+const OUTCOMES = ['accepted', 'declined', 'offer_unavailable', 'slot_unavailable', 'validation_error', 'unknown'];
+
+const PATTERNS = [
+  {
+    outcome: 'slot_unavailable',
+    patterns: [
+      /(?:time ?slot|slot|time|appointment)s? (?:is |are )?(?:no longer|not) available/,
+      /(?:time ?slot|slot)s? (?:has |have )?(?:already )?been (?:taken|filled|booked)/,
+      /(?:select|choose) (?:a )?different (?:time|slot|appointment)/,
+    ],
+  },
+  {
+    outcome: 'offer_unavailable',
+    patterns: [
+      /no longer available/,
+      /already (?:been )?(?:accepted|assigned|taken|awarded)/,
+      /offer (?:has )?expired/,
+      /offer (?:is )?(?:not|no longer) valid/,
+      /assigned to another/,
+    ],
+  },
+  {
+    outcome: 'validation_error',
+    patterns: [
+      /please (?:select|choose|enter|provide)/,
+      /(?:is|are) required/,
+      /an error (?:has )?occurred/,
+      /\b(?:could|can)(?: ?not|n't) be (?:processed|completed|saved|accepted|scheduled|confirmed)\b/,
+      /\b(?:was|has|have|is) not (?:been )?(?:accepted|scheduled|confirmed|processed|successful)\b/,
+      /\bunsuccessful\b/,
+      /\bunable to (?:accept|schedule|process|complete|confirm)\b/,
+      /\b(?:request|submission|acceptance) failed\b/,
+    ],
+  },
+];
+
+const ACCEPTED = {
+  outcome: 'accepted',
+  patterns: [
+    /\b(?:has|have) been (?:accepted|scheduled|confirmed|booked)\b/,
+    /\b(?:successfully|now) (?:accepted|scheduled|confirmed|booked)\b/,
+    /\b(?:accepted|scheduled|confirmed|booked) successfully\b/,
+    /\b(?:offer|job|appointment|work order) (?:was |is )?(?:accepted|scheduled|confirmed)\b/,
+    /\bthank you for accepting\b/,
+    /\bconfirmation (?:#|no\.?|number)/,
+  ],
+};
+
+const DECLINE_FAILED = {
+  outcome: 'validation_error',
+  patterns: [
+    /\b(?:could|can)(?: ?not|n't) be declined\b/,
+    /\b(?:was|has|is) not (?:been )?declined\b/,
+    /\bunable to decline\b/,
+    /\bdecline failed\b/,
+  ],
+};
+
+// After a decline the portal may also say the offer is "no longer available"
+// to us, so the decline wording is checked before the rejection patterns
+const DECLINED = {
+  outcome: 'declined',
+  patterns: [
+    /\bdeclined\b/,
+    /\b(?:has been|was) rejected\b/,
+    /\b(?:has been|was) (?:removed|returned)\b/,
+    /\bpassed on\b/,
+    /\bwill not be offered\b/,
+  ],
+};
+
+const CONFIRMATION_PATTERNS = [
+  /confirmation\s*(?:#|no\.?|number)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/i,
+  /\bSWO\s*(?:#|no\.?|number)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/i,
+  /\breference\s*(?:#|no\.?|number)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/i,
+];
+
+function extractConfirmationNumber(text) {
+  for (const re of CONFIRMATION_PATTERNS) {
+    const m = String(text || '').match(re);
+    // Require a digit so words like "Confirmation: Accepted" don't match
+    if (m && /\d/.test(m[1])) return m[1];
+  }
+  return null;
+}
+
+// Returns the line of page text that triggered the match, for diagnostics
+function matchingLine(text, re) {
+  const line = String(text || '').split('\n').find((l) => re.test(l.toLowerCase()));
+  return line ? line.trim().slice(0, 300) : null;
+}
+
+function classify(text, groups, successOutcome) {
+  const lower = String(text || '').toLowerCase();
+  for (const { outcome, patterns } of groups) {
+    const re = patterns.find((p) => p.test(lower));
+    if (re) {
+      return {
+        outcome,
+        message: matchingLine(text, re),
+        confirmation_number: outcome === successOutcome ? extractConfirmationNumber(text) : null,
+      };
+    }
+  }
+  return { outcome: 'unknown', message: null, confirmation_number: null };
+}
+
+function classifyOutcome(text) {
+  return classify(text, [...PATTERNS, ACCEPTED], 'accepted');
+}
+
+function classifyDeclineOutcome(text) {
+  return classify(text, [DECLINE_FAILED, DECLINED, ...PATTERNS], 'declined');
+}
+
+module.exports = { OUTCOMES, classifyOutcome, classifyDeclineOutcome, extractConfirmationNumber };
@@ -0,0 +1,172 @@
+/**
+ * Background poller for new RelyHome offers.
+ * Each tick scrapes available-swo.php for every polled account, diffs the
+ * offers against what was seen before (persisted across restarts) and emits
+ * `new_offer` / `offer_removed` events. Ticks are spaced by the interval plus
+ * a random jitter so requests do not land on a fixed cadence.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+const { log, runWithContext } = require('./logger');
+
+function offerKey(offer) {
+  return String(offer.offer_id || offer.swo_number || offer.accept_url);
+}
+
+function createOfferPoller({
+  filePath,
+  listAccounts,
+  scrape,
+  emit,
+  onOffers = null,
+  intervalMs = 60000,
+  jitterMs = 15000,
+}) {
+  const store = createJsonStore(filePath, { seen: {} });
+  const state = store.load();
+  state.seen = state.seen || {};
+
+  const settings = { intervalMs, jitterMs };
+  const lastPoll = {};
+  let running = false;
+  let polling = false;
+  let timer = null;
+  let nextPollAt = null;
+
+  function persist() {
+    try {
+      store.save(state);
+    } catch (e) {
+      log.error(`Failed to persist poller state: ${e.message}`);
+    }
+  }
+
+  function pollAccount(accountId) {
+    return runWithContext({ source: 'poller', account: accountId }, () => poll(accountId), { fresh: true });
+  }
+
+  async function poll(accountId) {
+    const startedAt = new Date().toISOString();
+    try {
+      const offers = await scrape(accountId);
+      const previous = state.seen[accountId] || {};
+      const current = {};
+      const added = [];
+
+      for (const offer of offers) {
+        const key = offerKey(offer);
+        const known = previous[key];
+        current[key] = {
+          offer,
+          first_seen_at: known ? known.first_seen_at : startedAt,
+          last_seen_at: startedAt,
+        };
+        if (!known) added.push(offer);
+      }
+      const removed = Object.keys(previous)
+        .filter((key) => !current[key])
+        .map((key) => previous[key]);
+
+      state.seen[accountId] = current;
+      persist();
+
+      if (onOffers) {
+        try {
+          await onOffers(accountId, offers);
+        } catch (e) {
+          log.error(`Offer handler failed for ${accountId}: ${e.message}`);
+        }
+      }
+
+      for (const offer of added) {
+        await emit({ event: 'new_offer', account: accountId, offer, detected_at: startedAt });
+      }
+      for (const entry of removed) {
+        await emit({
+          event: 'offer_removed',
+          account: accountId,
+          offer: entry.offer,
+          first_seen_at: entry.first_seen_at,
+          last_seen_at: entry.last_seen_at,
+          detected_at: startedAt,
+        });
+      }
+
+      lastPoll[accountId] = { at: startedAt, offers: offers.length, new: added.length, removed: removed.length, error: null };
+      if (added.length || removed.length) {
+        log.info(`Poll ${accountId}: ${offers.length} offers, ${added.length} new, ${removed.length} removed`);
+      }
+      return { offers, added, removed };
+    } catch (error) {
+      // A failed scrape says nothing about removals; keep the seen set as is
+      lastPoll[accountId] = { at: startedAt, offers: null, new: 0, removed: 0, error: error.message };
+      log.error(`Poll ${accountId} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function tick() {
+    timer = null;
+    polling = true;
+    try {
+      for (const accountId of listAccounts()) {
+        if (!running) break;
+        await pollAccount(accountId);
+      }
+    } finally {
+      polling = false;
+      schedule();
+    }
+  }
+
+  function schedule() {
+    if (!running) {
+      nextPollAt = null;
+      return;
+    }
+    const wait = settings.intervalMs + Math.floor(Math.random() * settings.jitterMs);
+    nextPollAt = new Date(Date.now() + wait).toISOString();
+    timer = setTimeout(tick, wait);
+  }
+
+  function start({ interval_ms, jitter_ms } = {}) {
+    if (Number(interval_ms) > 0) settings.intervalMs = Number(interval_ms);
+    if (Number(jitter_ms) >= 0 && jitter_ms !== undefined && jitter_ms !== null) settings.jitterMs = Number(jitter_ms);
+    if (running) return status();
+    running = true;
+    log.info(`Poller started (every ${settings.intervalMs}ms + up to ${settings.jitterMs}ms jitter)`);
+    if (!polling) {
+      timer = setTimeout(tick, 0);
+      nextPollAt = new Date().toISOString();
+    }
+    return status();
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+    nextPollAt = null;
+    log.info('Poller stopped');
+    return status();
+  }
+
+  function status() {
+    const seen = {};
+    for (const [accountId, offers] of Object.entries(state.seen)) seen[accountId] = Object.keys(offers).length;
+    return {
+      running,
+      polling,
+      interval_ms: settings.intervalMs,
+      jitter_ms: settings.jitterMs,
+      next_poll_at: nextPollAt,
+      accounts: listAccounts(),
+      last_poll: lastPoll,
+      seen_offers: seen,
+    };
+  }
+
+  return { start, stop, status, pollAccount };
+}
+
+module.exports = { createOfferPoller, offerKey };
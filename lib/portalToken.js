@@ -0,0 +1,127 @@
+/**
+ * Tokenized portal URLs (available-swo.php?vid=...&exp=...).
+ * After login RelyHome hands out a URL whose `vid` authorizes the offer list
+ * until `exp`. The worker keeps one per account, decodes the expiry and
+ * refreshes it shortly before it runs out.
+ */
+
+const { log, runWithContext } = require('./logger');
+
+function decodeExpiry(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  let value = String(raw).trim();
+
+  // Some links carry the timestamp base64-encoded
+  if (!/^\d+$/.test(value)) {
+    try {
+      const decoded = Buffer.from(value, 'base64').toString('utf8').trim();
+      if (/^\d{9,13}$/.test(decoded)) value = decoded;
+    } catch (e) {}
+  }
+
+  if (/^\d{13}$/.test(value)) return new Date(Number(value));
+  if (/^\d{9,10}$/.test(value)) return new Date(Number(value) * 1000);
+  // Date.parse guesses at almost anything; only trust ISO dates
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : new Date(parsed);
+}
+
+// Returns null unless the URL carries both vid and exp
+function parsePortalToken(url) {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const vid = parsed.searchParams.get('vid');
+  const exp = parsed.searchParams.get('exp');
+  if (!vid || !exp) return null;
+  const expiresAt = decodeExpiry(exp);
+  return { url: parsed.toString(), vid, exp, expires_at: expiresAt ? expiresAt.toISOString() : null };
+}
+
+/**
+ * Periodically refreshes tokens that are about to expire.
+ * `listAccounts()` returns accounts to consider; `needsRefresh(account)` and
+ * `refresh(account)` are supplied by the server so this module stays free of
+ * browser code. `isFresh(account)` is checked after a refresh: a token that
+ * is already stale again counts as a failed refresh, so it backs off instead
+ * of being retried every tick.
+ */
+function createPortalTokenRefresher({
+  listAccounts,
+  needsRefresh,
+  refresh,
+  isFresh = () => true,
+  intervalMs = 60000,
+  retryDelayMs = 1000 * 60 * 5,
+  maxRetryDelayMs = 1000 * 60 * 60 * 6,
+}) {
+  const inFlight = new Set();
+  const lastResult = {};
+  let timer = null;
+
+  function refreshAccount(account) {
+    return runWithContext({ source: 'token_refresh', account: account.id }, () => refreshNow(account), { fresh: true });
+  }
+
+  async function refreshNow(account) {
+    if (inFlight.has(account.id)) return;
+    inFlight.add(account.id);
+    const failures = (lastResult[account.id] || {}).failures || 0;
+    try {
+      const token = await refresh(account);
+      const ok = !!token && isFresh(account);
+      let error = null;
+      if (!token) error = 'No tokenized URL found';
+      else if (!ok) error = `Refreshed token expires too soon (${token.expires_at || 'unknown'})`;
+      lastResult[account.id] = { at: new Date().toISOString(), ok, error, failures: ok ? 0 : failures + 1 };
+      if (ok) log.info(`Portal token for ${account.id} refreshed; expires ${token.expires_at || 'unknown'}`);
+      else log.warn(`Portal token refresh for ${account.id} failed: ${error}`);
+    } catch (error) {
+      lastResult[account.id] = { at: new Date().toISOString(), ok: false, error: error.message, failures: failures + 1 };
+      log.error(`Portal token refresh failed for ${account.id}: ${error.message}`);
+    } finally {
+      inFlight.delete(account.id);
+    }
+  }
+
+  // Failed refreshes are retried after a delay that doubles with each failure
+  function recentlyFailed(accountId) {
+    const last = lastResult[accountId];
+    if (!last || last.ok) return false;
+    const delayMs = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** (last.failures - 1));
+    return Date.now() - Date.parse(last.at) < delayMs;
+  }
+
+  async function tick() {
+    for (const account of listAccounts()) {
+      if (needsRefresh(account) && !recentlyFailed(account.id)) await refreshAccount(account);
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch((e) => log.error(`Portal token refresh tick failed: ${e.message}`));
+    }, intervalMs);
+    timer.unref();
+    log.info(`Portal token refresher started (every ${intervalMs}ms)`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function status(accountId) {
+    return { refreshing: inFlight.has(accountId), last_refresh: lastResult[accountId] || null };
+  }
+
+  return { start, stop, status, refreshAccount };
+}
+
+module.exports = { decodeExpiry, parsePortalToken, createPortalTokenRefresher };
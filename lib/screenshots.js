@@ -0,0 +1,129 @@
+/**
+ * Locally stored job screenshots, handed out as signed, expiring URLs
+ * (GET /screenshots/:id?expires=...&signature=...) instead of base64 in
+ * every callback.
+ *
+ * Signature: hex HMAC-SHA256(secret, `${id}.${expires}`), expires in unix
+ * seconds. Files are swept once their URL has expired.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const FORMATS = { jpeg: 'image/jpeg', webp: 'image/webp', png: 'image/png' };
+const ID_PATTERN = /^[0-9a-f-]{36}\.(jpeg|webp|png)$/;
+
+function createScreenshotStore({
+  dir,
+  format = 'jpeg',
+  quality = 70,
+  fullPage = false,
+  ttlMs = 1000 * 60 * 60 * 24 * 7,
+  inlineBase64 = false,
+  signingSecret = null,
+  sweepIntervalMs = 1000 * 60 * 60,
+}) {
+  if (!FORMATS[format]) {
+    log.error(`Invalid screenshot format "${format}"; using jpeg`);
+    format = 'jpeg';
+  }
+  if (!signingSecret) {
+    // URLs still work, but only until the worker restarts
+    log.warn('No secret configured for screenshot URLs; using a per-process key');
+    signingSecret = crypto.randomBytes(32).toString('hex');
+  }
+  let sweeper = null;
+
+  function sign(id, expires) {
+    return crypto.createHmac('sha256', signingSecret).update(`${id}.${expires}`).digest('hex');
+  }
+
+  function signedPath(id, expires) {
+    return `/screenshots/${id}?expires=${expires}&signature=${sign(id, expires)}`;
+  }
+
+  /**
+   * Screenshots the page and stores it. Resolves to
+   * { id, path, expires_at, base64 } where `path` is the signed URL path and
+   * `base64` is only set when inline screenshots are enabled.
+   */
+  async function capture(page) {
+    const options = { type: format, fullPage };
+    if (format !== 'png') options.quality = quality;
+    const buffer = await page.screenshot(options);
+
+    const id = `${crypto.randomUUID()}.${format}`;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, id), buffer);
+
+    const expires = Math.floor((Date.now() + ttlMs) / 1000);
+    return {
+      id,
+      path: signedPath(id, expires),
+      expires_at: new Date(expires * 1000).toISOString(),
+      base64: inlineBase64 ? Buffer.from(buffer).toString('base64') : null,
+    };
+  }
+
+  /**
+   * Resolves a request for a screenshot. Returns { file, contentType } or
+   * { status, code, error } when the id, signature or expiry does not check out.
+   * `trusted` skips the signature (caller presented the worker secret).
+   */
+  function resolve(id, { expires, signature, trusted = false } = {}) {
+    if (!ID_PATTERN.test(String(id))) return { status: 404, code: 'NOT_FOUND', error: 'Screenshot not found' };
+
+    if (!trusted) {
+      const expected = sign(id, expires);
+      const given = String(signature || '');
+      const valid = given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+      if (!valid) return { status: 403, code: 'UNAUTHORIZED', error: 'Invalid screenshot signature' };
+      if (!(Number(expires) * 1000 > Date.now())) return { status: 410, code: 'LINK_EXPIRED', error: 'Screenshot link expired' };
+    }
+
+    const file = path.join(dir, id);
+    if (!fs.existsSync(file)) return { status: 404, code: 'NOT_FOUND', error: 'Screenshot not found' };
+    return { file, contentType: FORMATS[id.split('.').pop()] };
+  }
+
+  // Deletes screenshots whose links have expired
+  function sweep(now = Date.now()) {
+    let removed = 0;
+    const names = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    for (const name of names) {
+      if (!ID_PATTERN.test(name)) continue;
+      const file = path.join(dir, name);
+      if (now - fs.statSync(file).mtimeMs > ttlMs) {
+        fs.rmSync(file, { force: true });
+        removed++;
+      }
+    }
+    if (removed) log.info(`Removed ${removed} expired screenshot(s)`);
+    return removed;
+  }
+
+  function start() {
+    if (sweeper) return;
+    const run = () => {
+      try {
+        sweep();
+      } catch (e) {
+        log.error(`Screenshot sweep failed: ${e.message}`);
+      }
+    };
+    run();
+    sweeper = setInterval(run, sweepIntervalMs);
+    sweeper.unref();
+  }
+
+  function stop() {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+
+  return { format, capture, resolve, sweep, start, stop };
+}
+
+module.exports = { createScreenshotStore, FORMATS };
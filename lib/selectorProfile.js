@@ -0,0 +1,152 @@
+/**
+ * Versioned selector profile for the RelyHome portal (selectors/*.json).
+ * Every DOM assumption the worker makes lives in the profile so a portal
+ * tweak is a JSON edit plus a reload instead of a redeploy.
+ *
+ * Each entry is an ordered list tried first to last. `*_text` entries are
+ * words matched against button/link text rather than CSS selectors. The
+ * store remembers which candidate matched last for every key, so a shift to
+ * a fallback (or a miss) shows up in /admin/selectors, the logs and metrics.
+ */
+
+const fs = require('fs');
+const { log } = require('./logger');
+
+// group -> keys every profile must define
+const PROFILE_SCHEMA = {
+  login: ['username', 'password', 'submit', 'submit_text'],
+  offer_list: ['offer_link', 'fallback_link_text'],
+  offer: [
+    'slot_radio',
+    'accept_submit',
+    'accept_submit_text',
+    'decline_text',
+    'decline_confirm_text',
+    'decline_reason_hint',
+  ],
+};
+
+function validateProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be a JSON object'];
+  }
+  if (typeof profile.version !== 'string' || !profile.version.trim()) {
+    errors.push('version must be a non-empty string');
+  }
+
+  for (const [group, keys] of Object.entries(PROFILE_SCHEMA)) {
+    const section = profile[group];
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+      errors.push(`${group} must be an object`);
+      continue;
+    }
+    for (const key of keys) {
+      const list = section[key];
+      if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${group}.${key} must be a non-empty array`);
+      } else if (list.some((s) => typeof s !== 'string' || !s.trim())) {
+        errors.push(`${group}.${key} must only contain non-empty strings`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Loads the profile at `filePath` and keeps it in memory. The constructor
+ * throws when the file is missing or invalid; reload() instead keeps the
+ * active profile and reports the errors. `onMatch({ key, selector, index })`
+ * is called for every recorded lookup (index -1 and selector null on a miss).
+ */
+function createSelectorProfileStore({ filePath, onMatch = () => {} }) {
+  let active = null;
+  let loadedAt = null;
+  let matches = {};
+
+  function read() {
+    let profile;
+    try {
+      profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      return { profile: null, errors: [`Could not read ${filePath}: ${e.message}`] };
+    }
+    return { profile, errors: validateProfile(profile) };
+  }
+
+  function reload() {
+    const { profile, errors } = read();
+    if (errors.length) {
+      log.error(`Selector profile ${filePath} rejected`, { errors, active_version: active ? active.version : null });
+      return { ok: false, errors, version: active ? active.version : null };
+    }
+    const previous = active ? active.version : null;
+    active = profile;
+    loadedAt = new Date().toISOString();
+    // Matches recorded against the old profile say nothing about the new one
+    matches = {};
+    log.info(`Selector profile ${profile.version} loaded${previous ? ` (was ${previous})` : ''}`, { path: filePath });
+    return { ok: true, errors: [], version: profile.version, previous_version: previous };
+  }
+
+  // "offer.slot_radio" -> ordered candidate list
+  function get(key) {
+    const [group, name] = key.split('.');
+    return [...active[group][name]];
+  }
+
+  function version() {
+    return active.version;
+  }
+
+  // Records which candidate of `key` matched; pass null when none did
+  function recordMatch(key, selector) {
+    const candidates = get(key);
+    const index = selector === null || selector === undefined ? -1 : candidates.indexOf(selector);
+    const entry = matches[key] || { hits: 0, misses: 0 };
+    const previousSelector = entry.selector;
+    const now = new Date().toISOString();
+
+    if (index === -1) {
+      entry.misses++;
+      entry.last_miss_at = now;
+      log.warn(`No selector matched for ${key}`, { selector_key: key, profile_version: active.version });
+    } else {
+      entry.hits++;
+      entry.selector = selector;
+      entry.index = index;
+      entry.last_match_at = now;
+      if (previousSelector !== undefined && previousSelector !== selector) {
+        log.warn(`Selector for ${key} changed from ${previousSelector} to ${selector}`, {
+          selector_key: key,
+          profile_version: active.version,
+        });
+      } else {
+        log.debug(`Selector for ${key} matched: ${selector}`, { selector_key: key, index, profile_version: active.version });
+      }
+    }
+    matches[key] = entry;
+    onMatch({ key, selector: index === -1 ? null : selector, index });
+    return index;
+  }
+
+  function status() {
+    return {
+      path: filePath,
+      version: active.version,
+      portal: active.portal || null,
+      loaded_at: loadedAt,
+      profile: active,
+      matches,
+    };
+  }
+
+  const initial = reload();
+  if (!initial.ok) {
+    throw new Error(`Invalid selector profile ${filePath}: ${initial.errors.join('; ')}`);
+  }
+
+  return { get, version, reload, recordMatch, status };
+}
+
+module.exports = { PROFILE_SCHEMA, validateProfile, createSelectorProfileStore };
@@ -0,0 +1,81 @@
+/**
+ * Encrypted on-disk copy of the session store, so a deploy or crash does not
+ * force a fresh portal login for every account.
+ * AES-256-GCM with a key derived from SESSION_ENCRYPTION_KEY via scrypt. The
+ * salt is kept in the file and reused, so the (deliberately slow) derivation
+ * runs once per process rather than on every save; each write gets a new IV.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const FORMAT_VERSION = 1;
+
+function encrypt(key, salt, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    v: FORMAT_VERSION,
+    salt,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(key, envelope) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function createSessionPersistence({ filePath, secret }) {
+  const enabled = !!secret;
+  if (!enabled) {
+    log.info('SESSION_ENCRYPTION_KEY not set; sessions will not be persisted');
+  }
+  // base64 salt -> derived key; `salt` is the one new writes use
+  const keys = new Map();
+  let salt = null;
+
+  function keyFor(saltValue) {
+    if (!keys.has(saltValue)) keys.set(saltValue, crypto.scryptSync(secret, Buffer.from(saltValue, 'base64'), 32));
+    return keys.get(saltValue);
+  }
+
+  function load() {
+    if (!enabled) return null;
+    try {
+      const envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!envelope || envelope.v !== FORMAT_VERSION) throw new Error('Unsupported session file format');
+      const snapshot = JSON.parse(decrypt(keyFor(envelope.salt), envelope));
+      salt = envelope.salt;
+      return snapshot;
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        log.error(`Could not load persisted sessions from ${filePath}: ${e.message}`);
+      }
+      return null;
+    }
+  }
+
+  function save(snapshot) {
+    if (!enabled) return;
+    try {
+      if (!salt) salt = crypto.randomBytes(16).toString('base64');
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(encrypt(keyFor(salt), salt, JSON.stringify(snapshot))), { mode: 0o600 });
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      log.error(`Failed to persist sessions: ${e.message}`);
+    }
+  }
+
+  return { enabled, filePath, load, save };
+}
+
+module.exports = { createSessionPersistence };
@@ -0,0 +1,393 @@
+/**
+ * Per-account RelyHome session store.
+ * Every account keeps its own cookie jar, cookie TTL, tokenized portal URL,
+ * login state and a reference to where its password comes from, so sessions for different
+ * technicians never leak into each other.
+ *
+ * Logins are single-flight per account: while one is running, other callers
+ * wait for it and share its outcome instead of starting their own. Repeated
+ * invalid-credential failures back off exponentially and, past a threshold,
+ * open a circuit breaker that blocks logins until the cooldown ends, the
+ * credentials change, or the breaker is reset.
+ *
+ * Accounts come from RELYHOME_ACCOUNTS (JSON array), e.g.
+ *   [{ "id": "tech-a", "username": "a@example.com", "password_env": "RELYHOME_PASSWORD_TECH_A",
+ *      "cookie_ttl_ms": 72000000 }]
+ * plus a "default" account built from RELYHOME_USERNAME / RELYHOME_PASSWORD.
+ * Credentials posted to /scrape or /login that do not match a configured
+ * account register an ad-hoc account ("adhoc:<random uuid>") whose password
+ * is held in memory only. Ad-hoc accounts are found again through an HMAC of
+ * the credentials under a per-process random key, so neither the id nor
+ * anything persisted can be brute-forced back into a password. Request input
+ * never replaces or edits a configured account, and idle ad-hoc accounts are
+ * evicted.
+ */
+
+const crypto = require('crypto');
+const { WorkerError } = require('./errors');
+const { log } = require('./logger');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+const AD_HOC_PREFIX = 'adhoc:';
+
+function parseAccountsConfig(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error('expected an array');
+    return parsed.filter((a) => a && a.id);
+  } catch (e) {
+    log.error(`Ignoring invalid RELYHOME_ACCOUNTS: ${e.message}`);
+    return [];
+  }
+}
+
+function createSessionStore({
+  defaultTtlMs,
+  accounts = [],
+  env = process.env,
+  onChange = null,
+  loginBackoffMs = 30000,
+  loginMaxBackoffMs = 1000 * 60 * 10,
+  loginBreakerThreshold = 3,
+  loginBreakerCooldownMs = 1000 * 60 * 60,
+  adHocMaxAccounts = 50,
+  adHocIdleMs = 1000 * 60 * 60 * 24,
+}) {
+  const byId = new Map();
+  // HMAC of the credentials -> ad-hoc account id. The key never leaves the
+  // process, so ad-hoc accounts restored from disk are only reachable by id.
+  const credentialSecret = crypto.randomBytes(32);
+  const adHocIds = new Map();
+
+  // Same credentials -> same digest; different password -> different one
+  function credentialDigest(username, password) {
+    return crypto.createHmac('sha256', credentialSecret).update(`${username}\0${password || ''}`).digest('hex');
+  }
+
+  function changed(account) {
+    if (onChange) onChange(account);
+  }
+
+  function addAccount({ id, username = null, password_env = null, password = null, cookie_ttl_ms = null, adHoc = false }) {
+    const account = {
+      id: String(id),
+      username,
+      passwordEnv: password_env,
+      password,
+      adHoc,
+      cookieTtlMs: Number(cookie_ttl_ms) || defaultTtlMs,
+      cookies: null,
+      cookiesUpdatedAt: 0,
+      lastUsedAt: Date.now(),
+      // { url, vid, exp, expires_at } from lib/portalToken, plus updated_at
+      portalToken: null,
+      login: {
+        inFlight: null,
+        failures: 0,
+        failureKey: null,
+        blockedUntil: 0,
+        lastAttemptAt: 0,
+        lastSuccessAt: 0,
+        lastError: null,
+      },
+    };
+    byId.set(account.id, account);
+    return account;
+  }
+
+  addAccount({
+    id: DEFAULT_ACCOUNT_ID,
+    username: env.RELYHOME_USERNAME || null,
+    password_env: 'RELYHOME_PASSWORD',
+  });
+  for (const config of accounts) addAccount(config);
+
+  function get(id) {
+    return byId.get(String(id || DEFAULT_ACCOUNT_ID)) || null;
+  }
+
+  /**
+   * Picks the account for a request: explicit id first, then a configured
+   * account with that username (and the same password, when one is posted),
+   * then the ad-hoc account for exactly these credentials.
+   */
+  function resolve({ account, username, password } = {}) {
+    if (account) return get(account);
+    if (!username) return get(DEFAULT_ACCOUNT_ID);
+
+    for (const a of byId.values()) {
+      if (a.adHoc || a.username !== username) continue;
+      if (!password || credentials(a).password === password) return a;
+    }
+
+    const digest = credentialDigest(username, password);
+    let adHoc = byId.get(adHocIds.get(digest));
+    if (!adHoc) {
+      adHoc = addAccount({ id: `${AD_HOC_PREFIX}${crypto.randomUUID()}`, username, password, adHoc: true });
+      adHocIds.set(digest, adHoc.id);
+    }
+    adHoc.lastUsedAt = Date.now();
+    evictAdHoc();
+    return adHoc;
+  }
+
+  // Drops ad-hoc accounts idle for adHocIdleMs, then the least recently used
+  // ones beyond adHocMaxAccounts. Accounts with a login running are kept.
+  function evictAdHoc(now = Date.now()) {
+    const candidates = all()
+      .filter((a) => a.adHoc && !a.login.inFlight)
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    let excess = all().filter((a) => a.adHoc).length - adHocMaxAccounts;
+    const evicted = [];
+    for (const a of candidates) {
+      if (excess > 0 || now - a.lastUsedAt > adHocIdleMs) {
+        byId.delete(a.id);
+        evicted.push(a.id);
+        excess--;
+      }
+    }
+    for (const [digest, id] of adHocIds) {
+      if (evicted.includes(id)) adHocIds.delete(digest);
+    }
+    if (evicted.length) {
+      log.info(`Evicted ${evicted.length} ad-hoc account(s)`, { accounts: evicted });
+      changed(null);
+    }
+    return evicted;
+  }
+
+  function credentials(account) {
+    const password = (account.passwordEnv ? env[account.passwordEnv] : null) || account.password;
+    return { username: account.username, password: password || null };
+  }
+
+  function hasFreshCookies(account) {
+    return (
+      Array.isArray(account.cookies) &&
+      account.cookies.length > 0 &&
+      Date.now() - account.cookiesUpdatedAt < account.cookieTtlMs
+    );
+  }
+
+  function setCookies(account, cookies) {
+    account.cookies = cookies;
+    account.cookiesUpdatedAt = Date.now();
+    changed(account);
+  }
+
+  function setPortalToken(account, token) {
+    if (account.portalToken && account.portalToken.url === token.url) return;
+    account.portalToken = { ...token, updated_at: Date.now() };
+    changed(account);
+  }
+
+  function clearPortalToken(account) {
+    if (!account.portalToken) return;
+    account.portalToken = null;
+    changed(account);
+  }
+
+  // Tokens without a readable expiry are trusted for the cookie TTL
+  function portalTokenExpiresAt(account) {
+    const token = account.portalToken;
+    if (!token) return null;
+    return token.expires_at ? Date.parse(token.expires_at) : token.updated_at + account.cookieTtlMs;
+  }
+
+  function hasFreshPortalToken(account, marginMs = 0) {
+    const expiresAt = portalTokenExpiresAt(account);
+    return expiresAt !== null && expiresAt - Date.now() > marginMs;
+  }
+
+  function clearCookies(account) {
+    if (!account.cookies && !account.cookiesUpdatedAt) return;
+    account.cookies = null;
+    account.cookiesUpdatedAt = 0;
+    changed(account);
+  }
+
+  // Passwords are never part of the snapshot; ad-hoc accounts come back
+  // without credentials and can only reuse their cookies.
+  function snapshot() {
+    const out = {};
+    for (const a of byId.values()) {
+      if (!a.cookies && !a.portalToken) continue;
+      out[a.id] = {
+        username: a.username,
+        ad_hoc: a.adHoc,
+        cookies: a.cookies,
+        updated_at: a.cookiesUpdatedAt,
+        portal_token: a.portalToken,
+      };
+    }
+    return { saved_at: Date.now(), accounts: out };
+  }
+
+  function restore(data) {
+    let restored = 0;
+    for (const [id, saved] of Object.entries((data && data.accounts) || {})) {
+      let account = byId.get(id);
+      if (!account && saved.ad_hoc && id.startsWith(AD_HOC_PREFIX)) {
+        account = addAccount({ id, username: saved.username, adHoc: true });
+      }
+      if (!account || account.adHoc !== !!saved.ad_hoc) continue;
+      if (saved.portal_token && saved.portal_token.url) account.portalToken = saved.portal_token;
+      if (!Array.isArray(saved.cookies)) continue;
+      account.cookies = saved.cookies;
+      account.cookiesUpdatedAt = Number(saved.updated_at) || 0;
+      restored++;
+    }
+    return restored;
+  }
+
+  function redactedCookies(account) {
+    return (account.cookies || []).map((c) => ({
+      name: c.name,
+      domain: c.domain,
+      path: c.path,
+      expires: c.expires > 0 ? new Date(c.expires * 1000).toISOString() : null,
+      http_only: !!c.httpOnly,
+      secure: !!c.secure,
+      value: `[redacted ${String(c.value || '').length} chars]`,
+    }));
+  }
+
+  // Identifies the credentials a failure streak belongs to, without keeping them
+  function credentialKey(account) {
+    const { username, password } = credentials(account);
+    return credentialDigest(username, password);
+  }
+
+  function loginBlockedError(account) {
+    const state = account.login;
+    if (state.failures === 0) return null;
+    if (state.failureKey !== credentialKey(account)) {
+      // Credentials changed since the failures; give them a fresh start
+      resetLogin(account);
+      return null;
+    }
+    if (Date.now() >= state.blockedUntil) return null;
+
+    const retryAt = new Date(state.blockedUntil).toISOString();
+    const open = state.failures >= loginBreakerThreshold;
+    const error = new WorkerError(
+      open ? 'LOGIN_CIRCUIT_OPEN' : 'LOGIN_BACKOFF',
+      open
+        ? `Login disabled for ${account.id} after ${state.failures} invalid-credential failures; retry after ${retryAt}`
+        : `Login for ${account.id} backing off after invalid credentials; retry after ${retryAt}`,
+      { step: 'login' }
+    );
+    error.retry_at = retryAt;
+    return error;
+  }
+
+  /**
+   * Runs fn as the account's only login. Callers arriving while it runs get
+   * the same promise, resolved with { shared: true }, and must pick up the
+   * session from the cookie cache. isCredentialFailure(error) decides which
+   * failures count towards backoff and the breaker.
+   */
+  function singleFlightLogin(account, fn, { isCredentialFailure = () => false } = {}) {
+    const state = account.login;
+    if (state.inFlight) return state.inFlight.then(() => ({ shared: true }));
+
+    const blocked = loginBlockedError(account);
+    if (blocked) return Promise.reject(blocked);
+
+    const key = credentialKey(account);
+    state.lastAttemptAt = Date.now();
+    const run = (async () => {
+      try {
+        await fn();
+        resetLogin(account);
+        state.lastSuccessAt = Date.now();
+        return { shared: false };
+      } catch (error) {
+        state.lastError = error.message;
+        if (isCredentialFailure(error)) {
+          state.failures = state.failureKey === key ? state.failures + 1 : 1;
+          state.failureKey = key;
+          state.blockedUntil =
+            Date.now() +
+            (state.failures >= loginBreakerThreshold
+              ? loginBreakerCooldownMs
+              : Math.min(loginMaxBackoffMs, loginBackoffMs * 2 ** (state.failures - 1)));
+        }
+        throw error;
+      } finally {
+        state.inFlight = null;
+      }
+    })();
+    state.inFlight = run;
+    return run;
+  }
+
+  function resetLogin(account) {
+    Object.assign(account.login, { failures: 0, failureKey: null, blockedUntil: 0, lastError: null });
+  }
+
+  function loginStatus(account) {
+    const state = account.login;
+    const blocked = state.blockedUntil > Date.now();
+    return {
+      in_flight: !!state.inFlight,
+      consecutive_failures: state.failures,
+      circuit_open: blocked && state.failures >= loginBreakerThreshold,
+      blocked_until: blocked ? new Date(state.blockedUntil).toISOString() : null,
+      last_attempt_at: state.lastAttemptAt ? new Date(state.lastAttemptAt).toISOString() : null,
+      last_success_at: state.lastSuccessAt ? new Date(state.lastSuccessAt).toISOString() : null,
+      last_error: state.lastError,
+    };
+  }
+
+  function describe(account) {
+    const fresh = hasFreshCookies(account);
+    const creds = credentials(account);
+    return {
+      id: account.id,
+      username: account.username,
+      ad_hoc: account.adHoc,
+      credentials_ref: account.passwordEnv ? `env:${account.passwordEnv}` : account.password ? 'memory' : null,
+      has_credentials: !!(creds.username && creds.password),
+      cookie_ttl_ms: account.cookieTtlMs,
+      cookie_count: Array.isArray(account.cookies) ? account.cookies.length : 0,
+      session_updated_at: account.cookiesUpdatedAt ? new Date(account.cookiesUpdatedAt).toISOString() : null,
+      session_age_ms: account.cookiesUpdatedAt ? Date.now() - account.cookiesUpdatedAt : null,
+      session_valid: fresh,
+      login: loginStatus(account),
+    };
+  }
+
+  function all() {
+    return [...byId.values()];
+  }
+
+  function list() {
+    return all().map(describe);
+  }
+
+  return {
+    get,
+    resolve,
+    evictAdHoc,
+    credentials,
+    hasFreshCookies,
+    setCookies,
+    clearCookies,
+    setPortalToken,
+    clearPortalToken,
+    portalTokenExpiresAt,
+    hasFreshPortalToken,
+    singleFlightLogin,
+    resetLogin,
+    describe,
+    all,
+    list,
+    snapshot,
+    restore,
+    redactedCookies,
+  };
+}
+
+module.exports = { createSessionStore, parseAccountsConfig, DEFAULT_ACCOUNT_ID };
@@ -0,0 +1,258 @@
+/**
+ * Slot preference engine.
+ *
+ * Preferences (all optional):
+ *   allowed_days / blocked_days   day names or abbreviations ("mon", "friday")
+ *   blackout_dates                "YYYY-MM-DD" or { from, to } ranges
+ *   earliest_date / latest_date   "YYYY-MM-DD", inclusive
+ *   earliest_start / latest_start slot start time window ("10am", "14:30")
+ *   min_lead_hours / max_lead_hours  hours between now and slot start
+ *   strategy                      "preferred_order" (default) | "earliest" | "latest"
+ *   preferred_days / preferred_slots  scoring inputs for "preferred_order"
+ *   reject_if_no_match            fail instead of falling back to an unwanted slot
+ *
+ * Hard constraints decide which slots are eligible; the strategy ranks the
+ * eligible ones. A constraint that needs a date or time rejects slots whose
+ * label could not be parsed for it.
+ */
+
+const {
+  normalizeDayName,
+  parseTimeOfDay,
+  parseSlotDateTime,
+  nowInZone,
+  zonedTimeToDate,
+  formatMinutes,
+} = require('./slots');
+
+const STRATEGIES = ['preferred_order', 'earliest', 'latest'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Returns { preferences, errors }; preferences is null when invalid
+function normalizePreferences(raw = {}) {
+  const errors = [];
+  if (raw !== null && (typeof raw !== 'object' || Array.isArray(raw))) {
+    return { preferences: null, errors: ['preferences: expected an object'] };
+  }
+  const input = raw || {};
+
+  const days = (key) =>
+    asList(input[key]).map((d) => {
+      const day = normalizeDayName(d);
+      if (!day) errors.push(`${key}: unknown day "${d}"`);
+      return day;
+    });
+
+  const date = (key) => {
+    const v = input[key];
+    if (v === undefined || v === null || v === '') return null;
+    if (!ISO_DATE.test(String(v))) errors.push(`${key}: expected YYYY-MM-DD`);
+    return String(v);
+  };
+
+  const time = (key) => {
+    const v = input[key];
+    if (v === undefined || v === null || v === '') return null;
+    const minutes = parseTimeOfDay(v);
+    if (minutes === null) errors.push(`${key}: could not parse time "${v}"`);
+    return minutes;
+  };
+
+  const number = (key) => {
+    const v = input[key];
+    if (v === undefined || v === null || v === '') return null;
+    const n = Number(v);
+    if (!Number.isFinite(n)) errors.push(`${key}: expected a number`);
+    return n;
+  };
+
+  const blackoutDates = asList(input.blackout_dates).map((b, i) => {
+    const isRange = b !== null && typeof b === 'object' && !Array.isArray(b);
+    const range = isRange ? { from: b.from, to: b.to || b.from } : { from: b, to: b };
+    const valid = (isRange || typeof b === 'string') && ISO_DATE.test(String(range.from)) && ISO_DATE.test(String(range.to));
+    if (!valid) errors.push(`blackout_dates[${i}]: expected YYYY-MM-DD or { from, to }`);
+    return range;
+  });
+
+  const strategy = input.strategy || 'preferred_order';
+  if (!STRATEGIES.includes(strategy)) {
+    errors.push(`strategy: expected one of ${STRATEGIES.join(', ')}`);
+  }
+
+  const preferences = {
+    allowed_days: days('allowed_days'),
+    blocked_days: days('blocked_days'),
+    blackout_dates: blackoutDates,
+    earliest_date: date('earliest_date'),
+    latest_date: date('latest_date'),
+    earliest_start: time('earliest_start'),
+    latest_start: time('latest_start'),
+    min_lead_hours: number('min_lead_hours'),
+    max_lead_hours: number('max_lead_hours'),
+    strategy,
+    preferred_days: asList(input.preferred_days).map((d) => String(d).toLowerCase()),
+    preferred_slots: asList(input.preferred_slots).map((s) => String(s).toLowerCase()),
+    reject_if_no_match: !!input.reject_if_no_match,
+  };
+
+  return { preferences: errors.length ? null : preferences, errors };
+}
+
+function getDayFull(abbrev) {
+  const days = { sun: 'sunday', mon: 'monday', tue: 'tuesday', wed: 'wednesday', thu: 'thursday', fri: 'friday', sat: 'saturday' };
+  return days[abbrev] || abbrev;
+}
+
+function timeRangeMatches(label, prefSlot) {
+  const timePattern = /(\d{1,2}):?(\d{2})?\s*(am|pm)?/gi;
+  const labelTimes = label.match(timePattern) || [];
+  const prefTimes = prefSlot.match(timePattern) || [];
+  if (labelTimes.length === 0 || prefTimes.length === 0) return false;
+  return labelTimes.some((lt) => prefTimes.some((pt) => lt === pt));
+}
+
+function scoreSlot(slot, normDays, normSlots) {
+  let score = 0;
+  const reasons = [];
+  const labelLower = String(slot.label || '').toLowerCase();
+
+  for (const day of normDays) {
+    if (labelLower.includes(day) || labelLower.includes(getDayFull(day))) {
+      score += 100;
+      reasons.push(`+100 matches preferred day "${day}"`);
+      break;
+    }
+  }
+
+  for (let i = 0; i < normSlots.length; i++) {
+    const prefSlot = normSlots[i];
+    if (labelLower.includes(prefSlot) || timeRangeMatches(labelLower, prefSlot)) {
+      score += 50 - i * 5;
+      reasons.push(`+${50 - i * 5} matches preferred slot #${i + 1} "${prefSlot}"`);
+      break;
+    }
+  }
+
+  if (reasons.length === 0) reasons.push('no preference matched');
+  return { score, reasons };
+}
+
+// Slot start as an instant; wall-clock times are read in timeZone when given
+function slotStart(parsed, timeZone) {
+  if (!parsed.date) return null;
+  if (timeZone) return zonedTimeToDate(parsed.date, parsed.start_minutes || 0, timeZone);
+  const [y, m, d] = parsed.date.split('-').map(Number);
+  return new Date(y, m - 1, d, 0, parsed.start_minutes || 0);
+}
+
+// Returns the reasons a slot violates the hard constraints (empty = eligible)
+function checkConstraints(parsed, prefs, now, timeZone) {
+  const violations = [];
+  const needDate = (what) => {
+    if (!parsed.date) violations.push(`${what}: slot date unknown`);
+    return !!parsed.date;
+  };
+  const needTime = (what) => {
+    if (parsed.start_minutes === null) violations.push(`${what}: slot start time unknown`);
+    return parsed.start_minutes !== null;
+  };
+
+  if (prefs.allowed_days.length) {
+    if (!parsed.day) violations.push('allowed_days: slot day unknown');
+    else if (!prefs.allowed_days.includes(parsed.day)) violations.push(`day ${parsed.day} not in allowed_days`);
+  }
+  if (prefs.blocked_days.length && parsed.day && prefs.blocked_days.includes(parsed.day)) {
+    violations.push(`day ${parsed.day} is blocked`);
+  }
+  if (prefs.blackout_dates.length && needDate('blackout_dates')) {
+    const hit = prefs.blackout_dates.find((b) => parsed.date >= b.from && parsed.date <= b.to);
+    if (hit) violations.push(`date ${parsed.date} is blacked out`);
+  }
+  if (prefs.earliest_date && needDate('earliest_date') && parsed.date < prefs.earliest_date) {
+    violations.push(`date ${parsed.date} is before ${prefs.earliest_date}`);
+  }
+  if (prefs.latest_date && needDate('latest_date') && parsed.date > prefs.latest_date) {
+    violations.push(`date ${parsed.date} is after ${prefs.latest_date}`);
+  }
+  if (prefs.earliest_start !== null && needTime('earliest_start') && parsed.start_minutes < prefs.earliest_start) {
+    violations.push(`starts ${formatMinutes(parsed.start_minutes)}, before ${formatMinutes(prefs.earliest_start)}`);
+  }
+  if (prefs.latest_start !== null && needTime('latest_start') && parsed.start_minutes > prefs.latest_start) {
+    violations.push(`starts ${formatMinutes(parsed.start_minutes)}, after ${formatMinutes(prefs.latest_start)}`);
+  }
+  if (prefs.min_lead_hours !== null || prefs.max_lead_hours !== null) {
+    const start = needDate('lead time') ? slotStart(parsed, timeZone) : null;
+    if (start) {
+      const leadHours = (start.getTime() - now.getTime()) / 3600000;
+      if (prefs.min_lead_hours !== null && leadHours < prefs.min_lead_hours) {
+        violations.push(`lead time ${leadHours.toFixed(1)}h below min ${prefs.min_lead_hours}h`);
+      }
+      if (prefs.max_lead_hours !== null && leadHours > prefs.max_lead_hours) {
+        violations.push(`lead time ${leadHours.toFixed(1)}h above max ${prefs.max_lead_hours}h`);
+      }
+    }
+  }
+  return violations;
+}
+
+function compareStart(a, b) {
+  // Ordering only; the zone offset is the same for both sides
+  const sa = slotStart(a.parsed);
+  const sb = slotStart(b.parsed);
+  if (sa && sb) return sa - sb;
+  if (sa) return -1;
+  if (sb) return 1;
+  return 0;
+}
+
+/**
+ * Scores and ranks every slot. Eligible slots come first, ordered by the
+ * strategy; each entry carries its parsed values, score and reasons.
+ */
+function rankSlots(availableSlots, prefs, { now = new Date(), timeZone = null } = {}) {
+  const usesPreferred = prefs.preferred_days.length > 0 || prefs.preferred_slots.length > 0;
+  const parseNow = timeZone ? nowInZone(timeZone, now) : now;
+
+  const entries = availableSlots.map((slot, index) => {
+    const parsed = slot.parsed || parseSlotDateTime(slot.label, { now: parseNow });
+    const { score, reasons } = scoreSlot(slot, prefs.preferred_days, prefs.preferred_slots);
+    const violations = checkConstraints(parsed, prefs, now, timeZone);
+    // With reject_if_no_match, preferred days/slots become requirements too
+    if (prefs.reject_if_no_match && usesPreferred && score === 0) {
+      violations.push('matches no preferred day or slot');
+    }
+    return { ...slot, parsed, score, reasons, violations, eligible: violations.length === 0, index };
+  });
+
+  const byStrategy = (a, b) => {
+    if (prefs.strategy === 'earliest') return compareStart(a, b) || b.score - a.score || a.index - b.index;
+    if (prefs.strategy === 'latest') return compareStart(b, a) || b.score - a.score || a.index - b.index;
+    return b.score - a.score || a.index - b.index;
+  };
+
+  return entries.sort((a, b) => Number(b.eligible) - Number(a.eligible) || byStrategy(a, b));
+}
+
+/**
+ * Picks the slot to accept. Returns { slot, matched, ranked }; slot is null
+ * when nothing is eligible and reject_if_no_match is set.
+ */
+function selectSlot(availableSlots, prefs, options) {
+  const ranked = rankSlots(availableSlots, prefs, options);
+  const best = ranked[0] || null;
+  if (!best) return { slot: null, matched: false, ranked };
+  if (!best.eligible && prefs.reject_if_no_match) return { slot: null, matched: false, ranked };
+  return { slot: best, matched: best.eligible, ranked };
+}
+
+module.exports = {
+  STRATEGIES,
+  normalizePreferences,
+  rankSlots,
+  selectSlot,
+};
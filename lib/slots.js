@@ -0,0 +1,300 @@
+/**
+ * Parsing of RelyHome appointment slot labels into calendar values.
+ * Handles the label shapes seen on offer.php, e.g.
+ *   "Monday 10/20/2026 8:00 AM - 12:00 PM", "Tue 10/21 1pm-5pm",
+ *   "Oct 22, 2026 8:00-12:00", "Thursday, October 22 - 8AM to 12PM",
+ *   "2026-10-23 08:00 to 12:00", "Sat 10/25 noon-4pm", "10/27 8a-12p"
+ * A missing year is inferred as the next occurrence on or after `now`.
+ * Wall-clock times are interpreted in the portal's timezone when converted
+ * to ISO datetimes.
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// "Oct 22", "October 22nd, 2026", "Sept. 3 2026"
+const MONTH_DATE =
+  '\\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)(?:uary|ruary|ch|il|e|y|ust|t|tember|ober|ember)?\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?';
+
+function normalizeDayName(value) {
+  const v = String(value || '').toLowerCase().trim();
+  if (!v) return null;
+  return DAY_NAMES.find((d) => d === v || d.startsWith(v.slice(0, 3))) || null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function isValidDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+// Picks the year that puts month/day closest after `now` (allowing a day of slack)
+function inferYear(month, day, now) {
+  const year = now.getFullYear();
+  const candidate = new Date(year, month - 1, day);
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  return candidate < yesterday ? year + 1 : year;
+}
+
+function parseDatePart(label, now) {
+  let m = label.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (m) return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]), yearInferred: false };
+
+  m = label.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (m) {
+    const month = Number(m[1]);
+    const day = Number(m[2]);
+    if (m[3]) {
+      let year = Number(m[3]);
+      if (year < 100) year += 2000;
+      return { year, month, day, yearInferred: false };
+    }
+    return { year: inferYear(month, day, now), month, day, yearInferred: true };
+  }
+
+  m = label.match(new RegExp(MONTH_DATE, 'i'));
+  if (m) {
+    const month = MONTH_NAMES.indexOf(m[1].toLowerCase()) + 1;
+    const day = Number(m[2]);
+    if (m[3]) return { year: Number(m[3]), month, day, yearInferred: false };
+    return { year: inferYear(month, day, now), month, day, yearInferred: true };
+  }
+
+  return null;
+}
+
+function toMinutes(hours, minutes, meridiem) {
+  let h = Number(hours);
+  if (meridiem) {
+    h = h % 12;
+    if (meridiem.toLowerCase().startsWith('p')) h += 12;
+  }
+  return h * 60 + Number(minutes || 0);
+}
+
+// Parses "10am", "10:30", "2:30 pm" into minutes after midnight
+function parseTimeOfDay(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const m = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/i);
+  if (!m) return null;
+  const minutes = toMinutes(m[1], m[2], m[3]);
+  return minutes >= 0 && minutes < 24 * 60 ? minutes : null;
+}
+
+// A clock reading: hours within range and, without am/pm, at most 24
+function isClockTime(hours, minutes, meridiem) {
+  const h = Number(hours);
+  if (minutes !== undefined && Number(minutes) > 59) return false;
+  return meridiem ? h >= 1 && h <= 12 : h <= 24;
+}
+
+// Blanks out dates so "10/20" or the 22 in "October 22" is not read as a time
+function stripDates(label) {
+  return String(label || '')
+    .replace(/\b\d{4}-\d{1,2}-\d{1,2}\b/g, ' ')
+    .replace(/\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g, ' ')
+    .replace(new RegExp(MONTH_DATE, 'gi'), ' ');
+}
+
+// "8", "8:30", "8am", "8 a.m.", "8a", "noon", "midnight"
+const CLOCK = '(?:\\b(\\d{1,2})(?::(\\d{2}))?\\s*(?:(a\\.m\\.|p\\.m\\.|am|pm|a|p)(?![a-z]))?|\\b(noon|midnight)\\b)';
+// Same groups, but am/pm is required: a lone "8" is not a time
+const MERIDIEM_CLOCK = '(?:\\b(\\d{1,2})(?::(\\d{2}))?\\s*(a\\.m\\.|p\\.m\\.|am|pm|a|p)(?![a-z])|\\b(noon|midnight)\\b)';
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to)\\s*';
+
+// Hours, minutes and a normalized am/pm from the CLOCK groups
+function readClock(hours, minutes, meridiem, word) {
+  if (word) {
+    const noon = word.toLowerCase() === 'noon';
+    return { hours: '12', minutes: undefined, meridiem: noon ? 'pm' : 'am' };
+  }
+  if (!meridiem) return { hours, minutes, meridiem: null };
+  const m = meridiem.replace(/\./g, '').toLowerCase();
+  return { hours, minutes, meridiem: m.length === 1 ? `${m}m` : m };
+}
+
+function parseTimePart(label) {
+  const text = stripDates(label);
+
+  // Only ranges with minutes or am/pm on at least one side count as times
+  const ranges = [...text.matchAll(new RegExp(`${CLOCK}${RANGE_SEPARATOR}${CLOCK}`, 'gi'))].map((r) => [
+    readClock(r[1], r[2], r[3], r[4]),
+    readClock(r[5], r[6], r[7], r[8]),
+  ]);
+  const range = ranges.find(
+    ([from, to]) =>
+      (from.minutes || from.meridiem || to.minutes || to.meridiem) &&
+      isClockTime(from.hours, from.minutes, from.meridiem) &&
+      isClockTime(to.hours, to.minutes, to.meridiem)
+  );
+  if (range) {
+    const [from, to] = range;
+    let startMeridiem = from.meridiem;
+    const end = toMinutes(to.hours, to.minutes, to.meridiem);
+    if (!startMeridiem && to.meridiem) {
+      // "8-12pm" means 8am; "1-5pm" means 1pm
+      const asEnd = toMinutes(from.hours, from.minutes, to.meridiem);
+      startMeridiem = asEnd <= end ? to.meridiem : to.meridiem === 'pm' ? 'am' : 'pm';
+    }
+    const start = toMinutes(from.hours, from.minutes, startMeridiem);
+    if (start < 24 * 60 && end <= 24 * 60) return { start, end };
+  }
+
+  // A separator right after a word ("8-12", "8ish-12pm") or "to" before a
+  // time means a range we could not read; its end is not a start time
+  if (new RegExp(`[a-z0-9.]\\s?(?:-|–|—)\\s*${CLOCK}|\\sto\\s+${CLOCK}`, 'i').test(text)) return null;
+
+  const single = text.match(new RegExp(MERIDIEM_CLOCK, 'i')) || text.match(/\b(\d{1,2}):(\d{2})\b/);
+  if (single) {
+    const clock = readClock(single[1], single[2], single[3], single[4]);
+    if (isClockTime(clock.hours, clock.minutes, clock.meridiem)) {
+      return { start: toMinutes(clock.hours, clock.minutes, clock.meridiem), end: null };
+    }
+  }
+
+  return null;
+}
+
+function parseSlotDateTime(label, { now = new Date() } = {}) {
+  const text = String(label || '');
+  const datePart = parseDatePart(text, now);
+  const timePart = parseTimePart(text);
+  const dayMatch = text.match(/\b(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(?:day|nesday|sday|urday)?\b/i);
+
+  let date = null;
+  let day = dayMatch ? normalizeDayName(dayMatch[1]) : null;
+  if (datePart && isValidDate(datePart.year, datePart.month, datePart.day)) {
+    date = toIsoDate(datePart.year, datePart.month, datePart.day);
+    day = DAY_NAMES[new Date(Date.UTC(datePart.year, datePart.month - 1, datePart.day)).getUTCDay()];
+  }
+
+  return {
+    date,
+    day,
+    start_minutes: timePart ? timePart.start : null,
+    end_minutes: timePart ? timePart.end : null,
+    year_inferred: !!(date && datePart.yearInferred),
+  };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// Offset of timeZone from UTC at the given instant, in minutes
+function offsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Converts a wall-clock date + minutes in timeZone to the matching instant
+function zonedTimeToDate(isoDate, minutes, timeZone) {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, minutes);
+  let utc = wall - offsetMinutes(new Date(wall), timeZone) * 60000;
+  // Re-check once in case the guess landed on the other side of a DST switch
+  utc = wall - offsetMinutes(new Date(utc), timeZone) * 60000;
+  return new Date(utc);
+}
+
+function formatOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// ISO 8601 with the zone's offset, e.g. "2026-10-20T08:00:00-04:00"
+function toZonedIso(isoDate, minutes, timeZone) {
+  const instant = zonedTimeToDate(isoDate, minutes, timeZone);
+  const p = zonedParts(instant, timeZone);
+  const local = `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:00`;
+  return local + formatOffset(offsetMinutes(instant, timeZone));
+}
+
+// "Now" as a local Date holding the portal's calendar day, for year inference
+function nowInZone(timeZone, now = new Date()) {
+  const p = zonedParts(now, timeZone);
+  return new Date(p.year, p.month - 1, p.day, p.hour, p.minute);
+}
+
+/**
+ * Normalizes a scraped slot into
+ *   { value, label, date, day, start, end, timezone, year_inferred, parse_error }
+ * date is "YYYY-MM-DD", start/end are ISO datetimes with offset. parse_error
+ * names what could not be read from the label instead of silently nulling it.
+ */
+function normalizeSlot(slot, { timeZone, now = new Date() }) {
+  const parsed = parseSlotDateTime(slot.label, { now: nowInZone(timeZone, now) });
+
+  const problems = [];
+  if (!parsed.date) problems.push('date not recognized');
+  if (parsed.start_minutes === null) problems.push('time not recognized');
+
+  let start = null;
+  let end = null;
+  if (parsed.date && parsed.start_minutes !== null) {
+    start = toZonedIso(parsed.date, parsed.start_minutes, timeZone);
+    if (parsed.end_minutes !== null) {
+      // Windows ending at or past midnight roll into the next day
+      const endMinutes = parsed.end_minutes > parsed.start_minutes ? parsed.end_minutes : parsed.end_minutes + 24 * 60;
+      end = toZonedIso(parsed.date, endMinutes, timeZone);
+    }
+  }
+
+  return {
+    value: slot.value,
+    label: slot.label,
+    date: parsed.date,
+    day: parsed.day,
+    start,
+    end,
+    timezone: timeZone,
+    year_inferred: parsed.year_inferred,
+    parse_error: problems.length ? `${problems.join(', ')} in "${slot.label}"` : null,
+  };
+}
+
+function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return null;
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+module.exports = {
+  DAY_NAMES,
+  normalizeDayName,
+  parseTimeOfDay,
+  parseSlotDateTime,
+  stripDates,
+  normalizeSlot,
+  nowInZone,
+  zonedTimeToDate,
+  isValidTimeZone,
+  formatMinutes,
+};
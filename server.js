@@ -3,20 +3,144 @@
  * Enhanced token discovery and cookie-based session fallback
  */
 
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
-const puppeteer = require('puppeteer');
+const { extractOffers, parseOfferRow } = require('./lib/offers');
+const { createBrowserPool } = require('./lib/browserPool');
+const { createJobQueue, jobKey } = require('./lib/jobQueue');
+const { createCallbackDelivery } = require('./lib/callbacks');
+const { createSessionStore, parseAccountsConfig } = require('./lib/sessions');
+const { createSessionPersistence } = require('./lib/sessionPersistence');
+const { normalizePreferences, selectSlot } = require('./lib/slotPreferences');
+const { normalizeSlot, isValidTimeZone, stripDates } = require('./lib/slots');
+const { createOfferPoller } = require('./lib/poller');
+const { createAutoAccept } = require('./lib/autoAccept');
+const { classifyOutcome, classifyDeclineOutcome } = require('./lib/outcome');
+const { extractOfferDetails } = require('./lib/offerDetails');
+const { createBatchStore, summarizeBatch } = require('./lib/batches');
+const { parsePortalToken, createPortalTokenRefresher } = require('./lib/portalToken');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createSelectorProfileStore } = require('./lib/selectorProfile');
+const { createArtifactStore } = require('./lib/artifacts');
+const { createScreenshotStore } = require('./lib/screenshots');
+const { WorkerError, toWorkerError, withStep, errorPayload, isRetryable } = require('./lib/errors');
+const { log, LEVELS, setLevel, levelName, runWithContext, addContext, currentContext } = require('./lib/logger');
 
 const app = express();
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '1mb' }));
+
+// Correlates every log line of a request; callers may supply their own id
+app.use((req, res, next) => {
+  const requestId = String(req.get('x-request-id') || '').slice(0, 128) || crypto.randomUUID();
+  res.set('x-request-id', requestId);
+  runWithContext({ request_id: requestId }, next, { fresh: true });
+});
 
 const PORT = process.env.PORT || 3000;
 const WORKER_SECRET = process.env.AUTOMATION_WORKER_SECRET;
-const RELYHOME_USERNAME = process.env.RELYHOME_USERNAME;
-const RELYHOME_PASSWORD = process.env.RELYHOME_PASSWORD;
+const BROWSER_MAX_PAGES = Number(process.env.BROWSER_MAX_PAGES) || 2;
+const BROWSER_QUEUE_TIMEOUT_MS = Number(process.env.BROWSER_QUEUE_TIMEOUT_MS) || 120000;
+const BROWSER_RECYCLE_AFTER_PAGES = Number(process.env.BROWSER_RECYCLE_AFTER_PAGES) || 200;
+const WORKER_DATA_DIR = process.env.WORKER_DATA_DIR || path.join(__dirname, 'data');
+const ACCEPT_MAX_ATTEMPTS = Number(process.env.ACCEPT_MAX_ATTEMPTS) || 3;
+const ACCEPT_RETRY_DELAY_MS = Number(process.env.ACCEPT_RETRY_DELAY_MS) || 5000;
+const ACCEPT_CONCURRENCY = Number(process.env.ACCEPT_CONCURRENCY) || BROWSER_MAX_PAGES;
+const CALLBACK_SIGNING_SECRET = process.env.CALLBACK_SIGNING_SECRET || WORKER_SECRET;
+const CALLBACK_MAX_ATTEMPTS = Number(process.env.CALLBACK_MAX_ATTEMPTS) || 5;
+const CALLBACK_RETRY_BASE_MS = Number(process.env.CALLBACK_RETRY_BASE_MS) || 1000;
+const POLLER_ENABLED = process.env.POLLER_ENABLED === 'true';
+const POLLER_WEBHOOK_URL = process.env.POLLER_WEBHOOK_URL;
+const POLLER_INTERVAL_MS = Number(process.env.POLLER_INTERVAL_MS) || 60000;
+const POLLER_JITTER_MS = process.env.POLLER_JITTER_MS !== undefined ? Number(process.env.POLLER_JITTER_MS) : 15000;
+const AUTO_ACCEPT_ENABLED = process.env.AUTO_ACCEPT_ENABLED === 'true';
+const AUTO_ACCEPT_CALLBACK_URL = process.env.AUTO_ACCEPT_CALLBACK_URL || POLLER_WEBHOOK_URL;
+const POLLER_ACCOUNTS = (process.env.POLLER_ACCOUNTS || '').split(',').map((a) => a.trim()).filter(Boolean);
+
+// Point at a mock portal (see test/mockPortal.js) to run the flows offline
+const RELYHOME_BASE_URL = (process.env.RELYHOME_BASE_URL || 'https://relyhome.com').replace(/\/+$/, '');
+const RELYHOME_HOST = new URL(RELYHOME_BASE_URL).host;
+const RELYHOME_LOGIN_URL = `${RELYHOME_BASE_URL}/login`;
+const RELYHOME_AVAILABLE_SWO_URL = `${RELYHOME_BASE_URL}/jobs/accept/available-swo.php`;
+const RELYHOME_SCHEDULED_SWO_URL = process.env.RELYHOME_SCHEDULED_SWO_URL || `${RELYHOME_BASE_URL}/jobs/accept/scheduled-swo.php`;
+const ACCEPT_VERIFY = process.env.ACCEPT_VERIFY === 'true';
+const DECLINE_REASON_MAX_LENGTH = 500;
+const BATCH_MAX_OFFERS = Number(process.env.BATCH_MAX_OFFERS) || 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+const RELYHOME_COOKIE_TTL_MS = Number(process.env.RELYHOME_COOKIE_TTL_MS) || 1000 * 60 * 60 * 20;
+const PORTAL_TOKEN_REFRESH_ENABLED = process.env.PORTAL_TOKEN_REFRESH_ENABLED !== 'false';
+const PORTAL_TOKEN_REFRESH_MARGIN_MS = Number(process.env.PORTAL_TOKEN_REFRESH_MARGIN_MS) || 1000 * 60 * 10;
+const PORTAL_TOKEN_REFRESH_INTERVAL_MS = Number(process.env.PORTAL_TOKEN_REFRESH_INTERVAL_MS) || 60000;
+const READY_BROWSER_TIMEOUT_MS = Number(process.env.READY_BROWSER_TIMEOUT_MS) || 15000;
+const READY_PROBE_TIMEOUT_MS = Number(process.env.READY_PROBE_TIMEOUT_MS) || 20000;
+const LOGIN_BACKOFF_MS = Number(process.env.LOGIN_BACKOFF_MS) || 30000;
+const LOGIN_MAX_BACKOFF_MS = Number(process.env.LOGIN_MAX_BACKOFF_MS) || 1000 * 60 * 10;
+const LOGIN_BREAKER_THRESHOLD = Number(process.env.LOGIN_BREAKER_THRESHOLD) || 3;
+const LOGIN_BREAKER_COOLDOWN_MS = Number(process.env.LOGIN_BREAKER_COOLDOWN_MS) || 1000 * 60 * 60;
+const ADHOC_ACCOUNTS_MAX = Number(process.env.ADHOC_ACCOUNTS_MAX) || 50;
+const ADHOC_ACCOUNT_IDLE_MS = Number(process.env.ADHOC_ACCOUNT_IDLE_MS) || 1000 * 60 * 60 * 24;
+const PORTAL_TIMEZONE = resolvePortalTimeZone(process.env.PORTAL_TIMEZONE);
+const SESSION_STORE_PATH = process.env.SESSION_STORE_PATH || path.join(WORKER_DATA_DIR, 'sessions.enc');
+const SELECTOR_PROFILE_PATH = process.env.SELECTOR_PROFILE_PATH || path.join(__dirname, 'selectors', 'relyhome.json');
+// Absolute base for links handed to callers; see publicUrl
+const WORKER_PUBLIC_URL = resolvePublicUrl(process.env.WORKER_PUBLIC_URL);
+const ARTIFACTS_MODE = process.env.ARTIFACTS_MODE || 'off';
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(WORKER_DATA_DIR, 'artifacts');
+const ARTIFACTS_TRACE = process.env.ARTIFACTS_TRACE === 'true';
+const ARTIFACTS_RETENTION_MS = Number(process.env.ARTIFACTS_RETENTION_MS) || 1000 * 60 * 60 * 72;
+const SCREENSHOT_DIR = process.env.SCREENSHOT_DIR || path.join(WORKER_DATA_DIR, 'screenshots');
+const SCREENSHOT_FORMAT = process.env.SCREENSHOT_FORMAT || 'jpeg';
+const SCREENSHOT_QUALITY = Number(process.env.SCREENSHOT_QUALITY) || 70;
+const SCREENSHOT_FULL_PAGE = process.env.SCREENSHOT_FULL_PAGE === 'true';
+const SCREENSHOT_URL_TTL_MS = Number(process.env.SCREENSHOT_URL_TTL_MS) || 1000 * 60 * 60 * 24 * 7;
+// Also inline screenshots as base64 for callback consumers that predate
+// screenshot_url. On by default without WORKER_PUBLIC_URL, since callbacks
+// then carry no screenshot_url and would otherwise lose the screenshot.
+const SCREENSHOT_INLINE_BASE64 =
+  process.env.SCREENSHOT_INLINE_BASE64 === 'true' ||
+  (!WORKER_PUBLIC_URL && process.env.SCREENSHOT_INLINE_BASE64 !== 'false');
+
+const metrics = createMetricsRegistry({ prefix: 'relyhome_worker_' });
+const operationsTotal = metrics.counter('operations_total', 'Accept, decline, scrape and login outcomes by error code');
+const operationDuration = metrics.histogram('operation_duration_seconds', 'End-to-end duration of accept, decline, scrape and login operations');
+const stepDuration = metrics.histogram('step_duration_seconds', 'Duration of individual steps within an operation');
+const loginAttempts = metrics.counter('login_attempts_total', 'Portal login attempts by result');
+const sessionExpiredTotal = metrics.counter('session_expired_total', 'Pages detected as showing an expired session');
+const callbackDeliveries = metrics.counter('callback_deliveries_total', 'Callback deliveries by final result');
+const callbackAttempts = metrics.counter('callback_attempts_total', 'Individual callback HTTP attempts by result');
+const browserPagesInUse = metrics.gauge('browser_pages_in_use', 'Browser pages currently checked out of the pool');
+const browserPagesQueued = metrics.gauge('browser_pages_queued', 'Callers waiting for a browser page');
+const browserConnected = metrics.gauge('browser_connected', 'Whether the pooled browser is connected (1) or not (0)');
+const jobsInFlight = metrics.gauge('jobs_in_flight', 'Queue jobs currently running');
+const jobsQueued = metrics.gauge('jobs_queued', 'Queue jobs waiting to run');
+const selectorLookups = metrics.counter('selector_lookups_total', 'Selector profile lookups by key and matched candidate (-1 = none)');
+
+const selectors = createSelectorProfileStore({
+  filePath: SELECTOR_PROFILE_PATH,
+  onMatch: ({ key, index }) => selectorLookups.inc({ key, index }),
+});
+
+const sessionPersistence = createSessionPersistence({
+  filePath: SESSION_STORE_PATH,
+  secret: process.env.SESSION_ENCRYPTION_KEY,
+});
+
+const sessions = createSessionStore({
+  defaultTtlMs: RELYHOME_COOKIE_TTL_MS,
+  accounts: parseAccountsConfig(process.env.RELYHOME_ACCOUNTS),
+  onChange: () => sessionPersistence.save(sessions.snapshot()),
+  loginBackoffMs: LOGIN_BACKOFF_MS,
+  loginMaxBackoffMs: LOGIN_MAX_BACKOFF_MS,
+  loginBreakerThreshold: LOGIN_BREAKER_THRESHOLD,
+  loginBreakerCooldownMs: LOGIN_BREAKER_COOLDOWN_MS,
+  adHocMaxAccounts: ADHOC_ACCOUNTS_MAX,
+  adHocIdleMs: ADHOC_ACCOUNT_IDLE_MS,
+});
 
-let relyhomeCookies = null;
-let relyhomeCookiesUpdatedAt = 0;
-const RELYHOME_COOKIE_TTL_MS = 1000 * 60 * 60 * 20;
+const restoredSessions = sessions.restore(sessionPersistence.load());
+if (restoredSessions > 0) {
+  log.info(`Restored ${restoredSessions} persisted session(s) from ${SESSION_STORE_PATH}`);
+}
 
 const RELYHOME_SESSION_EXPIRED_PATTERNS = [
   'login',
@@ -26,93 +150,309 @@ const RELYHOME_SESSION_EXPIRED_PATTERNS = [
   'authentication required',
 ];
 
+// Pages get isolated contexts; the RelyHome cookie jar is shared by seeding
+// each one from the account's cookie cache unless the caller opts out.
+const browserPool = createBrowserPool({
+  maxPages: BROWSER_MAX_PAGES,
+  queueTimeoutMs: BROWSER_QUEUE_TIMEOUT_MS,
+  recycleAfterPages: BROWSER_RECYCLE_AFTER_PAGES,
+  onPageCreated: async (page, { account, applyCookies = true } = {}) => {
+    if (account && applyCookies) await applyRelyhomeCookieCache(page, account);
+  },
+});
+
+// Log fields for queue jobs; request_id links the job to the request that enqueued it
+function jobLogContext(action) {
+  return (payload) => ({
+    action,
+    account: payload.account,
+    request_id: payload.request_id || null,
+    batch_id: payload.batch_id || null,
+  });
+}
+
+const acceptQueue = createJobQueue({
+  filePath: path.join(WORKER_DATA_DIR, 'accept-jobs.json'),
+  handler: (payload, context) => instrumented('accept', () => processJob(payload, context)),
+  onFinished: finishAcceptJob,
+  isRetryable,
+  // Keep the persisted job record small; an inline screenshot only goes to the callback
+  summarizeResult: ({ screenshot_base64, ...rest }) => rest,
+  concurrency: ACCEPT_CONCURRENCY,
+  maxAttempts: ACCEPT_MAX_ATTEMPTS,
+  retryDelayMs: ACCEPT_RETRY_DELAY_MS,
+  contextFor: jobLogContext('accept'),
+});
+
+const batchStore = createBatchStore({ filePath: path.join(WORKER_DATA_DIR, 'batches.json') });
+
+const declineQueue = createJobQueue({
+  filePath: path.join(WORKER_DATA_DIR, 'decline-jobs.json'),
+  handler: (payload, context) => instrumented('decline', () => processDecline(payload, context)),
+  onFinished: finishDeclineJob,
+  isRetryable,
+  summarizeResult: ({ screenshot_base64, ...rest }) => rest,
+  concurrency: ACCEPT_CONCURRENCY,
+  maxAttempts: ACCEPT_MAX_ATTEMPTS,
+  retryDelayMs: ACCEPT_RETRY_DELAY_MS,
+  contextFor: jobLogContext('decline'),
+});
+
+const artifacts = createArtifactStore({
+  dir: ARTIFACTS_DIR,
+  mode: ARTIFACTS_MODE,
+  trace: ARTIFACTS_TRACE,
+  retentionMs: ARTIFACTS_RETENTION_MS,
+});
+
+const screenshots = createScreenshotStore({
+  dir: SCREENSHOT_DIR,
+  format: SCREENSHOT_FORMAT,
+  quality: SCREENSHOT_QUALITY,
+  fullPage: SCREENSHOT_FULL_PAGE,
+  ttlMs: SCREENSHOT_URL_TTL_MS,
+  inlineBase64: SCREENSHOT_INLINE_BASE64,
+  signingSecret: CALLBACK_SIGNING_SECRET,
+});
+
+const callbackDelivery = createCallbackDelivery({
+  filePath: path.join(WORKER_DATA_DIR, 'callbacks-failed.json'),
+  signingSecret: CALLBACK_SIGNING_SECRET,
+  maxAttempts: CALLBACK_MAX_ATTEMPTS,
+  baseDelayMs: CALLBACK_RETRY_BASE_MS,
+  onAttempt: ({ ok }) => callbackAttempts.inc({ result: ok ? 'ok' : 'failed' }),
+});
+
+// Polls every configured account that can log in, unless POLLER_ACCOUNTS
+// narrows it down. Ad-hoc accounts only exist for the requests that made them.
+const offerPoller = createOfferPoller({
+  filePath: path.join(WORKER_DATA_DIR, 'poller-seen.json'),
+  intervalMs: POLLER_INTERVAL_MS,
+  jitterMs: POLLER_JITTER_MS,
+  listAccounts: () =>
+    POLLER_ACCOUNTS.length
+      ? POLLER_ACCOUNTS.filter((id) => sessions.get(id))
+      : sessions.list().filter((a) => a.has_credentials && !a.ad_hoc).map((a) => a.id),
+  scrape: pollAvailableOffers,
+  emit: (event) => sendCallback(POLLER_WEBHOOK_URL, event),
+  onOffers: (accountId, offers) => autoAccept.evaluate(accountId, offers),
+});
+
+const autoAccept = createAutoAccept({
+  filePath: path.join(WORKER_DATA_DIR, 'auto-accept.json'),
+  enabled: AUTO_ACCEPT_ENABLED,
+  enqueue: (payload) =>
+    acceptQueue.enqueue({ ...payload, callback_url: payload.callback_url || AUTO_ACCEPT_CALLBACK_URL }),
+  today: portalToday,
+  validatePreferences: (preferences) => normalizePreferences(preferences).errors,
+});
+// Only accounts that have used a token before and can log in again are refreshed
+const portalTokenRefresher = createPortalTokenRefresher({
+  // Idle ad-hoc accounts are dropped here rather than kept alive by refreshes
+  listAccounts: () => {
+    sessions.evictAdHoc();
+    return sessions.all();
+  },
+  // Accounts whose logins are backing off or behind an open breaker wait it out
+  needsRefresh: (account) =>
+    !!account.portalToken &&
+    !sessions.hasFreshPortalToken(account, PORTAL_TOKEN_REFRESH_MARGIN_MS) &&
+    sessions.describe(account).has_credentials &&
+    !sessions.describe(account).login.blocked_until,
+  refresh: refreshPortalToken,
+  isFresh: (account) => sessions.hasFreshPortalToken(account, PORTAL_TOKEN_REFRESH_MARGIN_MS),
+  intervalMs: PORTAL_TOKEN_REFRESH_INTERVAL_MS,
+});
+
+
+// Calendar day in the portal's timezone, as YYYY-MM-DD
+function portalToday() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: PORTAL_TIMEZONE }).format(new Date());
+}
+
+function resolvePortalTimeZone(value) {
+  const fallback = 'America/New_York';
+  if (!value) return fallback;
+  if (isValidTimeZone(value)) return value;
+  log.error(`Invalid PORTAL_TIMEZONE "${value}"; using ${fallback}`);
+  return fallback;
+}
+
+function resolvePublicUrl(value) {
+  if (!value) return '';
+  try {
+    const url = new URL(value);
+    if (url.protocol === 'http:' || url.protocol === 'https:') return url.toString().replace(/\/+$/, '');
+  } catch (e) {}
+  log.error(`Invalid WORKER_PUBLIC_URL "${value}"; expected an absolute http(s) URL`);
+  return '';
+}
+
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+function sendError(res, status, error, extra = {}) {
+  res.status(status).json({ success: false, ...errorPayload(error), ...extra });
+}
+
+function invalidRequest(res, message, details) {
+  const body = { success: false, ...errorPayload(new WorkerError('INVALID_REQUEST', message)) };
+  res.status(400).json(details ? { ...body, details } : body);
+}
+
+function unknownAccount(res, account) {
+  sendError(res, 400, new WorkerError('UNKNOWN_ACCOUNT', `Unknown account: ${account}`));
+}
+
+function notFound(res, message, code = 'NOT_FOUND') {
+  sendError(res, 404, new WorkerError(code, message));
+}
+
+// Express 4 ignores rejected handler promises; route them to the error handler
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function requireWorkerSecret(req, res, next) {
+  const secret = req.get('x-worker-secret') || (req.body && req.body.secret);
+  if (WORKER_SECRET && secret !== WORKER_SECRET) {
+    return sendError(res, 401, new WorkerError('UNAUTHORIZED', 'Invalid secret'));
+  }
+  next();
+}
+
 function looksLikeRelyhomeSessionExpired(text = '') {
   const t = String(text || '').toLowerCase().trim();
   if (t.length < 40) return true;
   return RELYHOME_SESSION_EXPIRED_PATTERNS.some((p) => t.includes(p));
 }
 
-function hasFreshCookieCache() {
-  return (
-    Array.isArray(relyhomeCookies) &&
-    relyhomeCookies.length > 0 &&
-    Date.now() - relyhomeCookiesUpdatedAt < RELYHOME_COOKIE_TTL_MS
-  );
+function hasFreshCookieCache(account) {
+  return sessions.hasFreshCookies(account);
 }
 
-async function applyRelyhomeCookieCache(page) {
-  if (!hasFreshCookieCache()) return;
+async function applyRelyhomeCookieCache(page, account) {
+  if (!hasFreshCookieCache(account)) return;
   try {
-    await page.setCookie(...relyhomeCookies);
-    console.log(`[Worker] Applied cached cookies (${relyhomeCookies.length})`);
+    await page.setCookie(...account.cookies);
+    log.info(`Applied cached cookies for ${account.id} (${account.cookies.length})`);
   } catch (e) {
-    console.log('[Worker] Failed to apply cookies; clearing cache');
-    relyhomeCookies = null;
-    relyhomeCookiesUpdatedAt = 0;
+    log.info(`Failed to apply cookies for ${account.id}; clearing cache`);
+    sessions.clearCookies(account);
   }
 }
 
-async function saveRelyhomeCookieCache(page) {
+async function saveRelyhomeCookieCache(page, account) {
   try {
     const cookies = await page.cookies();
     if (Array.isArray(cookies) && cookies.length > 0) {
-      relyhomeCookies = cookies;
-      relyhomeCookiesUpdatedAt = Date.now();
-      console.log(`[Worker] Cached cookies (${cookies.length})`);
+      sessions.setCookies(account, cookies);
+      log.info(`Cached cookies for ${account.id} (${cookies.length})`);
     }
   } catch (e) {}
 }
 
-async function loginToRelyHome(page, username, password) {
-  console.log('[Worker] Logging into RelyHome...');
-  
-  await page.goto('https://relyhome.com/login', { waitUntil: 'networkidle2', timeout: 30000 });
-  await delay(2000);
+// Logs the page in as the account and stores the resulting cookies. Logins
+// for the same account are serialized by its lock.
+async function loginAccount(page, account) {
+  const { username, password } = sessions.credentials(account);
+  if (!username || !password) {
+    throw new WorkerError(
+      'CREDENTIALS_MISSING',
+      `Session expired and no credentials configured for account ${account.id}`,
+      { step: 'login' }
+    );
+  }
+  let shared;
+  // Refusals (backoff, open breaker) and shared logins that fail are not attempts
+  let attempted = false;
+  try {
+    ({ shared } = await timedStep('login', 'login', () =>
+      sessions.singleFlightLogin(
+        account,
+        async () => {
+          attempted = true;
+          await loginToRelyHome(page, username, password);
+          await saveRelyhomeCookieCache(page, account);
+        },
+        { isCredentialFailure: (error) => error.code === 'LOGIN_INVALID_CREDENTIALS' }
+      )
+    ));
+  } catch (error) {
+    if (attempted) loginAttempts.inc({ result: 'failure', error_code: error.code });
+    throw error;
+  }
+  loginAttempts.inc({ result: shared ? 'shared' : 'success', error_code: '' });
+  if (shared) {
+    // Another page did the login; this page only needs its cookies
+    log.info(`Reusing session from concurrent login for ${account.id}`);
+    await applyRelyhomeCookieCache(page, account);
+  }
+}
 
-  await page.waitForSelector(
-    'input[name="username"], input[name="email"], input[type="email"], input[type="text"], #username, #email',
-    { timeout: 15000 }
-  );
+// First element matching the profile's candidates for `key`, recorded
+async function findElement(page, key) {
+  for (const selector of selectors.get(key)) {
+    const handle = await page.$(selector).catch(() => null);
+    if (handle) {
+      selectors.recordMatch(key, selector);
+      return handle;
+    }
+  }
+  selectors.recordMatch(key, null);
+  return null;
+}
 
-  const usernameSelectors = [
-    'input[name="username"]',
-    'input[name="email"]',
-    'input[type="email"]',
-    'input[type="text"]:not([type="password"])',
-    '#username',
-    '#email',
-  ];
-  const passwordSelectors = ['input[name="password"]', 'input[type="password"]', '#password'];
+/**
+ * Clicks the first element matching the profile's selectors for `key`, else
+ * the first of `candidates` whose text contains one of the `textKey` words.
+ * Records whichever matched; returns whether anything was clicked.
+ */
+async function clickControl(page, { key, textKey, candidates }) {
+  const result = await page.evaluate((selectorList, words, candidates) => {
+    for (const selector of selectorList) {
+      const el = document.querySelector(selector);
+      if (el) {
+        el.click();
+        return { selector };
+      }
+    }
+    for (const el of document.querySelectorAll(candidates)) {
+      const text = (el.value || el.textContent || el.innerText || '').toLowerCase();
+      const word = words.find((w) => text.includes(w.toLowerCase()));
+      if (word) {
+        el.click();
+        return { word };
+      }
+    }
+    return {};
+  }, selectors.get(key), selectors.get(textKey), candidates);
 
-  let usernameField = null;
-  let passwordField = null;
+  if (result.selector) selectors.recordMatch(key, result.selector);
+  else selectors.recordMatch(textKey, result.word || null);
+  return !!(result.selector || result.word);
+}
 
-  for (const selector of usernameSelectors) {
-    try {
-      usernameField = await page.$(selector);
-      if (usernameField) {
-        console.log(`[Worker] Found username field: ${selector}`);
-        break;
-      }
-    } catch (_) {}
-  }
+async function loginToRelyHome(page, username, password) {
+  log.info('Logging into RelyHome...');
+  
+  await page.goto(RELYHOME_LOGIN_URL, { waitUntil: 'networkidle2', timeout: 30000 });
+  await delay(2000);
 
-  for (const selector of passwordSelectors) {
-    try {
-      passwordField = await page.$(selector);
-      if (passwordField) {
-        console.log(`[Worker] Found password field: ${selector}`);
-        break;
-      }
-    } catch (_) {}
+  try {
+    await page.waitForSelector(selectors.get('login.username').join(', '), { timeout: 15000 });
+  } catch (error) {
+    // The page loaded without a login form; that is not a navigation timeout
+    if (error.name !== 'TimeoutError') throw error;
+    throw new WorkerError('LOGIN_FORM_NOT_FOUND', 'Could not find login form fields', { cause: error });
   }
 
+  const usernameField = await findElement(page, 'login.username');
+  const passwordField = await findElement(page, 'login.password');
+
   if (!usernameField || !passwordField) {
-    throw new Error('Could not find login form fields');
+    throw new WorkerError('LOGIN_FORM_NOT_FOUND', 'Could not find login form fields');
   }
 
   await usernameField.click({ clickCount: 3 });
@@ -127,43 +467,18 @@ async function loginToRelyHome(page, username, password) {
 
   await delay(500);
 
-  const didSubmit = await page.evaluate(() => {
-    const submitSelectors = [
-      'button[type="submit"]',
-      'input[type="submit"]',
-      'button.login-btn',
-      'button.btn-login',
-      '#login-button',
-      '#loginBtn',
-    ];
-    
-    for (const selector of submitSelectors) {
-      const btn = document.querySelector(selector);
-      if (btn) {
-        btn.click();
-        return { clicked: true, selector };
-      }
-    }
-
-    const allButtons = [...document.querySelectorAll('button, input[type="submit"]')];
-    for (const btn of allButtons) {
-      const text = (btn.value || btn.textContent || btn.innerText || '').toLowerCase();
-      if (text.includes('login') || text.includes('sign in') || text.includes('submit') || text.includes('log in')) {
-        btn.click();
-        return { clicked: true, text };
-      }
-    }
-    return { clicked: false };
+  const didSubmit = await clickControl(page, {
+    key: 'login.submit',
+    textKey: 'login.submit_text',
+    candidates: 'button, input[type="submit"]',
   });
 
-  console.log(`[Worker] Submit result:`, JSON.stringify(didSubmit));
-
-  if (!didSubmit.clicked) {
-    console.log('[Worker] No button found, pressing Enter');
+  if (!didSubmit) {
+    log.info('No button found, pressing Enter');
     await page.keyboard.press('Enter');
   }
 
-  console.log('[Worker] Waiting for post-login navigation...');
+  log.info('Waiting for post-login navigation...');
   
   await Promise.race([
     page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 25000 }).catch(() => {}),
@@ -176,8 +491,8 @@ async function loginToRelyHome(page, username, password) {
   const pageText = await page.evaluate(() => document.body?.innerText || '');
   const lowerText = pageText.toLowerCase();
 
-  console.log(`[Worker] Post-login URL: ${finalUrl}`);
-  console.log(`[Worker] Page text length: ${pageText.length}`);
+  log.info(`Post-login URL: ${finalUrl}`);
+  log.info(`Page text length: ${pageText.length}`);
 
   const errorMessages = [
     'invalid password',
@@ -196,8 +511,8 @@ async function loginToRelyHome(page, username, password) {
   const hasLoginError = errorMessages.some(msg => lowerText.includes(msg));
 
   if (hasLoginError) {
-    console.log('[Worker] Explicit login error detected');
-    throw new Error('Login failed: Invalid credentials');
+    log.info('Explicit login error detected');
+    throw new WorkerError('LOGIN_INVALID_CREDENTIALS', 'Login failed: Invalid credentials');
   }
 
   const successIndicators = [
@@ -219,412 +534,1421 @@ async function loginToRelyHome(page, username, password) {
   const hasSuccessIndicator = successIndicators.some(Boolean);
 
   if (hasSuccessIndicator) {
-    console.log('[Worker] Login successful - found success indicators');
+    log.info('Login successful - found success indicators');
     return;
   }
 
-  const passwordStillVisible = await page.$('input[type="password"]');
+  const passwordStillVisible = await page.$(selectors.get('login.password').join(', '));
   const stillOnLoginUrl = finalUrl.includes('/login');
 
   if (stillOnLoginUrl && passwordStillVisible) {
-    console.log('[Worker] Still on login page with password field visible');
-    throw new Error('Login appears to have failed - still on login page');
+    log.info('Still on login page with password field visible');
+    throw new WorkerError('LOGIN_FAILED', 'Login appears to have failed - still on login page');
+  }
+
+  log.info('Login appears successful');
+}
+
+// Counts the operation's outcome by error code and records its duration
+async function instrumented(operation, fn) {
+  const startedAt = process.hrtime.bigint();
+  let errorCode = '';
+  try {
+    return await fn();
+  } catch (error) {
+    errorCode = toWorkerError(error).code;
+    throw error;
+  } finally {
+    const outcome = errorCode ? 'error' : 'success';
+    operationsTotal.inc({ operation, outcome, error_code: errorCode });
+    operationDuration.observe({ operation, outcome }, Number(process.hrtime.bigint() - startedAt) / 1e9);
   }
+}
 
-  console.log('[Worker] Login appears successful');
+// Also snapshots the page into the job's artifact bundle when one is recording
+function timedStep(operation, step, fn) {
+  return runWithContext({ step }, () =>
+    stepDuration.time({ operation, step }, () => withStep(step, fn)).finally(() => artifacts.captureStep(step))
+  );
 }
 
-async function ensureRelyhomeSession(page, { username, password, contextLabel }) {
-  const label = contextLabel ? ` (${contextLabel})` : '';
-  await applyRelyhomeCookieCache(page);
+// Responses may link relative to this worker, but a callback is read on
+// another host, so its links are left out unless WORKER_PUBLIC_URL is set
+function publicUrl(pathname, { callback = false } = {}) {
+  if (WORKER_PUBLIC_URL) return `${WORKER_PUBLIC_URL}${pathname}`;
+  return callback ? null : pathname;
+}
 
+// Stores a screenshot of the page; a failed screenshot never fails the job
+async function takeScreenshot(page) {
   try {
-    const text = await page.evaluate(() => document.body?.innerText || '');
-    if (!looksLikeRelyhomeSessionExpired(text)) return;
+    return await screenshots.capture(page);
+  } catch (e) {
+    log.warn(`Screenshot failed: ${e.message}`);
+    return null;
+  }
+}
 
-    if (!username || !password) {
-      throw new Error(`Session appears expired${label} but no credentials provided.`);
-    }
+function screenshotFields(screenshot, options) {
+  return {
+    screenshot_url: screenshot ? publicUrl(screenshot.path, options) : null,
+    screenshot_expires_at: screenshot ? screenshot.expires_at : null,
+    screenshot_base64: screenshot ? screenshot.base64 : null,
+  };
+}
 
-    console.log(`[Worker] Session expired${label}; logging in...`);
-    await loginToRelyHome(page, username, password);
-    await saveRelyhomeCookieCache(page);
-  } catch (e) {}
+// Link to the artifact bundle of a job, or null when nothing was recorded
+function artifactsUrl(action, id, options) {
+  if (!id || !artifacts.get(action, id)) return null;
+  return publicUrl(`/artifacts/${encodeURIComponent(id)}?action=${action}`, options);
 }
 
+metrics.collect(() => {
+  const pool = browserPool.stats();
+  browserPagesInUse.set(pool.active_pages);
+  browserPagesQueued.set(pool.queued);
+  browserConnected.set(pool.browser_connected ? 1 : 0);
+  for (const [queue, stats] of [['accept', acceptQueue.stats()], ['decline', declineQueue.stats()]]) {
+    jobsInFlight.set({ queue }, stats.in_flight);
+    jobsQueued.set({ queue }, stats.queued);
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), pool: browserPool.stats() });
 });
 
-app.post('/accept', async (req, res) => {
-  const { job_id, task_id, accept_url, preferred_slots, preferred_days, callback_url, secret } = req.body;
+/**
+ * Readiness for orchestrators: 200 only when the browser answers and no
+ * account is locked out of logging in. `?probe=true` (needs the worker
+ * secret) also loads the offer list with each account's cached session.
+ */
+app.get('/ready', asyncRoute(async (req, res) => {
+  const probe = req.query.probe === 'true' || req.query.probe === '1';
+  if (probe && WORKER_SECRET && req.get('x-worker-secret') !== WORKER_SECRET && req.query.secret !== WORKER_SECRET) {
+    return sendError(res, 401, new WorkerError('UNAUTHORIZED', 'Invalid secret'));
+  }
+
+  const problems = [];
+  const browser = await browserPool.ping({ timeoutMs: READY_BROWSER_TIMEOUT_MS });
+  if (!browser.ok) problems.push(`browser: ${browser.error}`);
+
+  const selected = req.query.account ? [sessions.get(req.query.account)].filter(Boolean) : readinessAccounts();
+  const accounts = [];
+  for (const account of selected) {
+    const { login, has_credentials } = sessions.describe(account);
+    const cookiesFresh = hasFreshCookieCache(account);
+    const lastLogin = login.last_attempt_at
+      ? {
+          at: login.last_attempt_at,
+          ok: !login.in_flight && !login.last_error,
+          error: login.last_error,
+        }
+      : null;
+    const entry = {
+      account: account.id,
+      has_credentials,
+      cookies_fresh: cookiesFresh,
+      cookie_age_ms: account.cookiesUpdatedAt ? Date.now() - account.cookiesUpdatedAt : null,
+      last_login: lastLogin,
+      login_blocked_until: login.blocked_until,
+      circuit_open: login.circuit_open,
+    };
+
+    if (login.blocked_until) problems.push(`${account.id}: login blocked until ${login.blocked_until}`);
+    else if (!cookiesFresh && !has_credentials) problems.push(`${account.id}: no fresh session and no credentials`);
+    else if (!cookiesFresh && lastLogin && !lastLogin.ok) problems.push(`${account.id}: last login failed`);
+
+    if (probe && browser.ok) {
+      entry.probe = await probePortal(account);
+      if (!entry.probe.ok) problems.push(`${account.id}: portal probe failed (${entry.probe.error})`);
+    }
+    accounts.push(entry);
+  }
 
-  console.log(`[Worker] Received job ${job_id}, task ${task_id}`);
+  const accept = acceptQueue.stats();
+  const decline = declineQueue.stats();
+  const status = !browser.ok ? 'fail' : problems.length ? 'degraded' : 'ok';
+
+  res.status(status === 'ok' ? 200 : 503).json({
+    status,
+    problems,
+    browser: { ...browser, pool: browserPool.stats() },
+    accounts,
+    jobs: {
+      in_flight: accept.in_flight + decline.in_flight,
+      queued: accept.queued + decline.queued,
+      accept,
+      decline,
+    },
+    checked_at: new Date().toISOString(),
+  });
+}));
 
-  if (WORKER_SECRET && secret !== WORKER_SECRET) {
-    return res.status(401).json({ error: 'Invalid secret' });
+// Accounts the worker could be asked to act for
+function readinessAccounts() {
+  return sessions.all().filter((a) => sessions.describe(a).has_credentials || hasFreshCookieCache(a));
+}
+
+// Loads the offer list with the cached session only; never logs in
+async function probePortal(account) {
+  const startedAt = Date.now();
+  let timer = null;
+  try {
+    const text = await Promise.race([
+      browserPool.withPage(async (page) => {
+        await page.goto(portalUrlFor(account), { waitUntil: 'domcontentloaded', timeout: READY_PROBE_TIMEOUT_MS });
+        return await page.evaluate(() => document.body?.innerText || '');
+      }, { account }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Probe timed out after ${READY_PROBE_TIMEOUT_MS}ms`)), READY_PROBE_TIMEOUT_MS + 5000);
+      }),
+    ]);
+    const authenticated = !looksLikeRelyhomeSessionExpired(text);
+    return {
+      ok: authenticated,
+      authenticated,
+      latency_ms: Date.now() - startedAt,
+      error: authenticated ? null : 'session expired',
+    };
+  } catch (error) {
+    return { ok: false, authenticated: false, latency_ms: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Legacy top-level preferred_days / preferred_slots are folded into `preferences`
+function rawPreferencesFrom({ preferences, preferred_days, preferred_slots }) {
+  // Anything but an object is passed through for normalizePreferences to reject
+  if (preferences !== undefined && preferences !== null && (typeof preferences !== 'object' || Array.isArray(preferences))) {
+    return preferences;
+  }
+  const raw = { ...(preferences || {}) };
+  if (raw.preferred_days === undefined && preferred_days) raw.preferred_days = preferred_days;
+  if (raw.preferred_slots === undefined && preferred_slots) raw.preferred_slots = preferred_slots;
+  return raw;
+}
+
+// Checks one offer to accept, for /accept and each /accept/batch item alike;
+// returns null or { message, details }
+function acceptOfferProblem(offer) {
+  if (!offer || !offer.job_id || !offer.accept_url) {
+    return { message: 'job_id and accept_url required' };
+  }
+  if (offer.verify !== undefined && typeof offer.verify !== 'boolean') {
+    return { message: 'verify must be a boolean' };
+  }
+  const { errors } = normalizePreferences(rawPreferencesFrom(offer));
+  return errors.length ? { message: 'Invalid preferences', details: errors } : null;
+}
+
+app.post('/accept', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const { job_id, task_id, accept_url, callback_url, account, verify } = req.body;
+
+  log.info(`Received job ${job_id}, task ${task_id}, account ${account || 'default'}`);
+
+  const problem = acceptOfferProblem(req.body);
+  if (problem) {
+    return invalidRequest(res, problem.message, problem.details);
   }
 
-  res.json({ status: 'processing', job_id, task_id });
+  const relyhomeAccount = sessions.get(account);
+  if (!relyhomeAccount) {
+    return unknownAccount(res, account);
+  }
+  addContext({ account: relyhomeAccount.id });
 
-  processJob({
+  const preferences = rawPreferencesFrom(req.body);
+  const { job, created } = acceptQueue.enqueue({
+    request_id: currentContext().request_id,
     job_id,
     task_id,
+    account: relyhomeAccount.id,
     accept_url,
-    preferred_slots: preferred_slots || [],
-    preferred_days: preferred_days || [],
+    preferences,
     callback_url,
-    secret,
-  }).catch((e) => console.error('[Worker] processJob error:', e));
-});
+    verify,
+  });
 
-async function processJob({ job_id, task_id, accept_url, preferred_slots, preferred_days, callback_url, secret }) {
-  let browser = null;
-  let screenshotBase64 = null;
-  let availableSlots = [];
+  if (!created) {
+    log.info(`Duplicate job ${job_id}, task ${task_id} (state: ${job.state})`);
+  }
 
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
-    });
+  res.json({
+    status: created ? 'processing' : 'duplicate',
+    job_id,
+    task_id,
+    state: job.state,
+    attempts: job.attempts,
+  });
+}));
 
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1280, height: 800 });
-    await applyRelyhomeCookieCache(page);
+app.post('/accept/batch', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const { offers, account, callback_url, concurrency } = req.body;
 
-    await page.goto(accept_url, { waitUntil: 'networkidle2', timeout: 30000 });
-    await delay(1500);
+  if (!Array.isArray(offers) || offers.length === 0) {
+    return invalidRequest(res, 'offers must be a non-empty array');
+  }
+  if (offers.length > BATCH_MAX_OFFERS) {
+    return invalidRequest(res, `At most ${BATCH_MAX_OFFERS} offers per batch`);
+  }
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    return invalidRequest(res, 'concurrency must be a positive integer');
+  }
 
-    const firstText = await page.evaluate(() => document.body?.innerText || '');
-    if (looksLikeRelyhomeSessionExpired(firstText)) {
-      console.log('[Worker] Session expired on accept page; logging in...');
-      if (!RELYHOME_USERNAME || !RELYHOME_PASSWORD) {
-        throw new Error('Session expired and no credentials configured');
-      }
-      await loginToRelyHome(page, RELYHOME_USERNAME, RELYHOME_PASSWORD);
-      await saveRelyhomeCookieCache(page);
-      await page.goto(accept_url, { waitUntil: 'networkidle2', timeout: 30000 });
-      await delay(1500);
+  const relyhomeAccount = sessions.get(account);
+  if (!relyhomeAccount) {
+    return unknownAccount(res, account);
+  }
+  addContext({ account: relyhomeAccount.id });
+
+  const problems = [];
+  const seen = new Set();
+  offers.forEach((offer, index) => {
+    const problem = acceptOfferProblem(offer);
+    if (problem) {
+      for (const detail of problem.details || [problem.message]) problems.push(`offers[${index}]: ${detail}`);
     }
+    if (!offer || !offer.job_id) return;
+    const key = jobKey(offer.job_id, offer.task_id);
+    if (seen.has(key)) problems.push(`offers[${index}]: duplicate job_id/task_id in batch`);
+    seen.add(key);
+  });
+  if (problems.length) {
+    return invalidRequest(res, 'Invalid offers', problems);
+  }
 
-    availableSlots = await page.evaluate(() => {
-      const slots = [];
-      const radioButtons = document.querySelectorAll(
-        'input[type="radio"][name="appttime"], input[type="radio"][name="appointment"], input[type="radio"][name="time_slot"]'
-      );
-      radioButtons.forEach((radio) => {
-        let labelText = '';
-        if (radio.id) {
-          const label = document.querySelector(`label[for="${radio.id}"]`);
-          if (label) labelText = label.textContent.trim();
-        }
-        if (!labelText) {
-          const parent = radio.closest('tr, div, li');
-          if (parent) labelText = parent.textContent.trim();
-        }
-        if (!labelText) labelText = radio.value;
-        slots.push({ value: radio.value, label: labelText, id: radio.id, name: radio.name });
-      });
-      return slots;
-    });
-
-    console.log(`[Worker] Found ${availableSlots.length} slots`);
+  // A batch never takes more pages than the queue itself may use
+  const limit = Math.min(concurrency || BATCH_CONCURRENCY, ACCEPT_CONCURRENCY);
+  const batchId = crypto.randomUUID();
+  const items = offers.map((offer) => {
+    const { job, created } = acceptQueue.enqueue(
+      {
+        request_id: currentContext().request_id,
+        job_id: offer.job_id,
+        task_id: offer.task_id,
+        account: relyhomeAccount.id,
+        accept_url: offer.accept_url,
+        preferences: rawPreferencesFrom(offer),
+        callback_url: offer.callback_url || callback_url,
+        verify: offer.verify,
+        batch_id: batchId,
+      },
+      { group: batchId, groupLimit: limit }
+    );
+    return { job_id: offer.job_id, task_id: offer.task_id, created };
+  });
 
-    if (availableSlots.length === 0) {
-      throw new Error('No time slots found on page');
-    }
+  const batch = batchStore.create({ batch_id: batchId, account: relyhomeAccount.id, concurrency: limit, callback_url, items });
+  const duplicates = items.filter((i) => !i.created).length;
+  log.info(`Batch ${batch.batch_id}: ${items.length} offers (${duplicates} duplicate), concurrency ${limit}`);
 
-    const bestSlot = findBestSlot(availableSlots, preferred_days, preferred_slots);
-    console.log(`[Worker] Selected: ${bestSlot.label}`);
-
-    const radioSelector = bestSlot.id
-      ? `#${cssEscape(bestSlot.id)}`
-      : `input[type="radio"][name="${cssEscape(bestSlot.name)}"][value="${cssEscape(bestSlot.value)}"]`;
-
-    await page.evaluate((sel) => {
-      const el = document.querySelector(sel);
-      if (el) el.click();
-    }, radioSelector);
-
-    await delay(500);
-
-    const submitClicked = await page.evaluate(() => {
-      const selectors = [
-        'input[name="accept_button"]',
-        'input[type="submit"][value*="Accept"]',
-        'button[type="submit"]',
-        'input[type="submit"]',
-      ];
-      for (const selector of selectors) {
-        const btn = document.querySelector(selector);
-        if (btn) { btn.click(); return true; }
-      }
-      const allButtons = [...document.querySelectorAll('input[type="submit"], button')];
-      for (const btn of allButtons) {
-        const text = (btn.value || btn.textContent || '').toLowerCase();
-        if (text.includes('accept') || text.includes('submit')) {
-          btn.click();
-          return true;
-        }
-      }
-      return false;
-    });
+  res.json({
+    status: 'processing',
+    batch_id: batch.batch_id,
+    total: items.length,
+    duplicates,
+    concurrency: limit,
+  });
+}));
 
-    if (!submitClicked) throw new Error('Could not find submit button');
+app.get('/accept/batch/:batch_id', requireWorkerSecret, (req, res) => {
+  const batch = batchStore.get(req.params.batch_id);
+  if (!batch) {
+    return notFound(res, 'Batch not found');
+  }
+  res.json(summarizeBatch(batch, (jobId, taskId) => acceptQueue.get(jobId, taskId == null ? '' : taskId)));
+});
 
-    await Promise.race([
-      page.waitForNavigation({ timeout: 15000 }).catch(() => {}),
-      delay(5000),
-    ]);
+app.post('/decline', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const { job_id, task_id, accept_url, callback_url, account, reason } = req.body;
 
-    screenshotBase64 = await page.screenshot({ encoding: 'base64' });
+  log.info(`Received decline for job ${job_id}, task ${task_id}, account ${account || 'default'}`);
 
-    const pageText = await page.evaluate(() => document.body?.innerText || '');
-    const lower = pageText.toLowerCase();
-    const isConfirmed = ['confirmed', 'accepted', 'scheduled', 'success', 'thank you'].some(w => lower.includes(w));
+  if (!job_id || !accept_url) {
+    return invalidRequest(res, 'job_id and accept_url required');
+  }
 
-    const { date, day, timeRange } = parseSlotLabel(bestSlot.label);
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > DECLINE_REASON_MAX_LENGTH)) {
+    return invalidRequest(res, `reason must be a string of at most ${DECLINE_REASON_MAX_LENGTH} characters`);
+  }
 
-    await sendCallback(callback_url, {
-      job_id,
-      task_id,
-      success: true,
-      selected_slot: timeRange || bestSlot.value,
-      selected_date: date,
-      selected_day: day,
-      confirmation_message: isConfirmed ? 'Job accepted' : 'Submitted',
-      screenshot_base64: screenshotBase64,
-      available_slots: availableSlots.map((s) => s.label),
-      error: null,
-      secret,
-    });
+  const relyhomeAccount = sessions.get(account);
+  if (!relyhomeAccount) {
+    return unknownAccount(res, account);
+  }
+  addContext({ account: relyhomeAccount.id });
 
-  } catch (error) {
-    console.error(`[Worker] Error:`, error.message);
-    if (browser) {
-      try {
-        const pages = await browser.pages();
-        if (pages.length > 0) screenshotBase64 = await pages[0].screenshot({ encoding: 'base64' });
-      } catch (e) {}
-    }
+  const { job, created } = declineQueue.enqueue({
+    request_id: currentContext().request_id,
+    job_id,
+    task_id,
+    account: relyhomeAccount.id,
+    accept_url,
+    reason: reason || null,
+    callback_url,
+  });
 
-    await sendCallback(callback_url, {
-      job_id,
-      task_id,
-      success: false,
-      selected_slot: null,
-      selected_date: null,
-      selected_day: null,
-      confirmation_message: null,
-      screenshot_base64: screenshotBase64,
-      available_slots: availableSlots.map((s) => s.label),
-      error: error.message,
-      secret,
-    });
-  } finally {
-    if (browser) await browser.close();
+  if (!created) {
+    log.info(`Duplicate decline ${job_id}, task ${task_id} (state: ${job.state})`);
   }
-}
 
-function findBestSlot(availableSlots, preferredDays, preferredSlots) {
-  const normDays = (preferredDays || []).map((d) => String(d).toLowerCase());
-  const normSlots = (preferredSlots || []).map((s) => String(s).toLowerCase());
+  res.json({
+    status: created ? 'processing' : 'duplicate',
+    job_id,
+    task_id,
+    state: job.state,
+    attempts: job.attempts,
+  });
+}));
+
+app.get('/accounts', requireWorkerSecret, (req, res) => {
+  res.json({ accounts: sessions.list() });
+});
 
-  const scoredSlots = availableSlots.map((slot) => {
-    let score = 0;
-    const labelLower = String(slot.label || '').toLowerCase();
+// Token and cookie freshness per account; never returns the token itself
+app.get('/session', requireWorkerSecret, (req, res) => {
+  const { account } = req.query;
+  const selected = account ? [sessions.get(account)].filter(Boolean) : sessions.all();
+  if (account && selected.length === 0) {
+    return notFound(res, `Unknown account: ${account}`, 'UNKNOWN_ACCOUNT');
+  }
 
-    for (const day of normDays) {
-      if (labelLower.includes(day) || labelLower.includes(getDayFull(day))) {
-        score += 100;
-        break;
-      }
-    }
+  const now = Date.now();
+  res.json({
+    sessions: selected.map((a) => {
+      const token = a.portalToken;
+      const expiresAt = sessions.portalTokenExpiresAt(a);
+      return {
+        account: a.id,
+        has_token: !!token,
+        token_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+        token_expiry_decoded: !!(token && token.expires_at),
+        token_expires_in_ms: expiresAt ? expiresAt - now : null,
+        token_valid: sessions.hasFreshPortalToken(a),
+        token_updated_at: token ? new Date(token.updated_at).toISOString() : null,
+        token_refresh: portalTokenRefresher.status(a.id),
+        cookie_count: Array.isArray(a.cookies) ? a.cookies.length : 0,
+        cookie_age_ms: a.cookiesUpdatedAt ? now - a.cookiesUpdatedAt : null,
+        cookies_valid: sessions.hasFreshCookies(a),
+        portal_url: token && sessions.hasFreshPortalToken(a) ? 'token' : 'default',
+      };
+    }),
+  });
+});
 
-    for (let i = 0; i < normSlots.length; i++) {
-      const prefSlot = normSlots[i];
-      if (labelLower.includes(prefSlot) || timeRangeMatches(labelLower, prefSlot)) {
-        score += 50 - i * 5;
-        break;
-      }
-    }
+app.get('/admin/session', requireWorkerSecret, (req, res) => {
+  const { account } = req.query;
+  const selected = account ? [sessions.get(account)].filter(Boolean) : sessions.all();
+  if (account && selected.length === 0) {
+    return notFound(res, `Unknown account: ${account}`, 'UNKNOWN_ACCOUNT');
+  }
 
-    return { ...slot, score };
+  res.json({
+    persisted: sessionPersistence.enabled,
+    store_path: sessionPersistence.enabled ? sessionPersistence.filePath : null,
+    sessions: selected.map((a) => ({ ...sessions.describe(a), cookies: sessions.redactedCookies(a) })),
   });
+});
 
-  scoredSlots.sort((a, b) => b.score - a.score);
-  return scoredSlots[0];
-}
+app.delete('/admin/session', requireWorkerSecret, (req, res) => {
+  const { account } = req.query;
+  const selected = account ? [sessions.get(account)].filter(Boolean) : sessions.all();
+  if (account && selected.length === 0) {
+    return notFound(res, `Unknown account: ${account}`, 'UNKNOWN_ACCOUNT');
+  }
 
-function getDayFull(abbrev) {
-  const days = { sun: 'sunday', mon: 'monday', tue: 'tuesday', wed: 'wednesday', thu: 'thursday', fri: 'friday', sat: 'saturday' };
-  return days[abbrev] || abbrev;
-}
+  selected.forEach((a) => sessions.clearCookies(a));
+  log.info(`Cleared stored session(s): ${selected.map((a) => a.id).join(', ')}`);
+  res.json({ cleared: selected.map((a) => a.id) });
+});
 
-function timeRangeMatches(label, prefSlot) {
-  const timePattern = /(\d{1,2}):?(\d{2})?\s*(am|pm)?/gi;
-  const labelTimes = label.match(timePattern) || [];
-  const prefTimes = prefSlot.match(timePattern) || [];
-  if (labelTimes.length === 0 || prefTimes.length === 0) return false;
-  return labelTimes.some((lt) => prefTimes.some((pt) => lt === pt));
-}
+// Changes the log level at runtime (LOG_LEVEL sets it at startup)
+app.put('/admin/log-level', requireWorkerSecret, (req, res) => {
+  const level = String(req.body.level || '').toLowerCase();
+  if (LEVELS[level] === undefined) {
+    return invalidRequest(res, `level must be one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  setLevel(level);
+  log.warn(`Log level set to ${level}`);
+  res.json({ level: levelName() });
+});
 
-function parseSlotLabel(label) {
-  let date = null, day = null, timeRange = null;
-  const dateMatch = label.match(/(\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2})/);
-  if (dateMatch) date = dateMatch[1];
-  const dayMatch = label.match(/(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i);
-  if (dayMatch) day = dayMatch[1];
-  const timeMatch = label.match(/(\d{1,2}(?::\d{2})?\s*(?:am|pm)?\s*-\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i);
-  if (timeMatch) timeRange = timeMatch[1];
-  return { date, day, timeRange };
-}
+// Active selector profile plus which candidate last matched for each key
+app.get('/admin/selectors', requireWorkerSecret, (req, res) => {
+  res.json(selectors.status());
+});
 
-async function sendCallback(callbackUrl, data) {
-  try {
-    console.log(`[Worker] Sending callback to ${callbackUrl}`);
-    const response = await fetch(callbackUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data),
-    });
-    console.log(`[Worker] Callback response: ${response.status}`);
-  } catch (error) {
-    console.error(`[Worker] Callback error:`, error.message);
+// Re-reads the profile file; an invalid file leaves the active profile in place
+app.post('/admin/selectors/reload', requireWorkerSecret, (req, res) => {
+  const result = selectors.reload();
+  res.status(result.ok ? 200 : 422).json(result);
+});
+
+// Clears invalid-credential backoff and an open login circuit breaker
+app.post('/admin/session/reset-login', requireWorkerSecret, (req, res) => {
+  const account = req.query.account || req.body.account;
+  const selected = account ? [sessions.get(account)].filter(Boolean) : sessions.all();
+  if (account && selected.length === 0) {
+    return notFound(res, `Unknown account: ${account}`, 'UNKNOWN_ACCOUNT');
   }
-}
 
-app.post('/scrape', async (req, res) => {
-  const { url, secret, username, password } = req.body;
-  console.log(`[Worker] ========== SCRAPE REQUEST ==========`);
-  console.log(`[Worker] URL: ${url}`);
-  console.log(`[Worker] Credentials provided: ${!!(username && password)}`);
+  selected.forEach((a) => sessions.resetLogin(a));
+  log.info(`Reset login backoff for: ${selected.map((a) => a.id).join(', ')}`);
+  res.json({ reset: selected.map((a) => a.id) });
+});
 
-  if (WORKER_SECRET && secret !== WORKER_SECRET) {
-    return res.status(401).json({ success: false, error: 'Invalid secret' });
+// Signed links from callbacks work on their own; the worker secret also opens
+// any stored screenshot without a signature
+app.get('/screenshots/:id', (req, res) => {
+  const trusted = !!WORKER_SECRET && req.get('x-worker-secret') === WORKER_SECRET;
+  const found = screenshots.resolve(req.params.id, {
+    expires: req.query.expires,
+    signature: req.query.signature,
+    trusted,
+  });
+  if (found.error) {
+    return sendError(res, found.status, new WorkerError(found.code, found.error));
   }
+  res.set('Cache-Control', 'private, no-transform');
+  res.type(found.contentType).sendFile(found.file);
+});
 
-  if (!url) {
-    return res.status(400).json({ success: false, error: 'URL required' });
+const ARTIFACT_ACTIONS = ['accept', 'decline', 'scrape', 'login'];
+
+// Manifest of a job's artifact bundle, with a URL for every recorded file.
+// Scrape and login bundles are keyed by the request's x-request-id.
+app.get('/artifacts/:job_id', requireWorkerSecret, (req, res) => {
+  const action = req.query.action || 'accept';
+  if (!ARTIFACT_ACTIONS.includes(action)) {
+    return invalidRequest(res, `action must be one of: ${ARTIFACT_ACTIONS.join(', ')}`);
+  }
+  const bundle = artifacts.get(action, req.params.job_id);
+  if (!bundle) {
+    return notFound(res, 'No artifacts for this job');
   }
 
-  let browser = null;
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
-    });
+  const fileUrl = (file) =>
+    file ? publicUrl(`/artifacts/${encodeURIComponent(req.params.job_id)}/files/${file}?action=${action}`) : null;
+  const { dir, ...manifest } = bundle;
+  res.json({
+    ...manifest,
+    attempts: manifest.attempts.map((attempt) => ({
+      ...attempt,
+      trace: fileUrl(attempt.trace),
+      steps: attempt.steps.map((step) => ({ ...step, screenshot: fileUrl(step.screenshot), html: fileUrl(step.html) })),
+    })),
+  });
+});
 
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1280, height: 800 });
-    
-    const hasCookies = hasFreshCookieCache();
-    console.log(`[Worker] Has fresh cookie cache: ${hasCookies}`);
-    
-    if (hasCookies) {
-      await applyRelyhomeCookieCache(page);
-    }
+app.get('/artifacts/:job_id/files/:attempt/:file', requireWorkerSecret, (req, res) => {
+  const action = req.query.action || 'accept';
+  const bundle = ARTIFACT_ACTIONS.includes(action) ? artifacts.get(action, req.params.job_id) : null;
+  if (!bundle || !/^attempt-\d+$/.test(req.params.attempt) || !/^[\w-][\w.-]*$/.test(req.params.file)) {
+    return notFound(res, 'Artifact not found');
+  }
+  // `root` makes send() refuse anything that resolves outside the bundle
+  res.sendFile(path.join(req.params.attempt, req.params.file), { root: bundle.dir, dotfiles: 'deny' }, (err) => {
+    if (err && !res.headersSent) notFound(res, 'Artifact not found');
+  });
+});
 
-    // If no fresh cookies and credentials provided, login first
-    const u = username || RELYHOME_USERNAME;
-    const p = password || RELYHOME_PASSWORD;
-    
-    if (!hasCookies && u && p) {
-      console.log('[Worker] No cached cookies, logging in first...');
-      await loginToRelyHome(page, u, p);
-      await saveRelyhomeCookieCache(page);
-      console.log('[Worker] Login complete, now navigating to jobs page');
-    }
+app.get('/jobs/:job_id', requireWorkerSecret, (req, res) => {
+  const action = req.query.action || 'accept';
+  const queue = { accept: acceptQueue, decline: declineQueue }[action];
+  if (!queue) {
+    return invalidRequest(res, 'action must be accept or decline');
+  }
 
-    // Navigate to the jobs page
-    console.log(`[Worker] Navigating to: ${url}`);
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-    await delay(3000);
+  const job = queue.get(req.params.job_id, req.query.task_id);
+  if (!job) {
+    return notFound(res, 'Job not found');
+  }
 
-    let { markdown, jobLinks } = await extractJobData(page);
-    let html = await page.content();
-    
-    console.log(`[Worker] Initial content length: ${markdown.length}, links: ${jobLinks.length}`);
+  res.json({
+    action,
+    job_id: job.job_id,
+    task_id: job.task_id,
+    state: job.state,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    last_error: job.last_error,
+    last_error_code: job.last_error_code || null,
+    last_error_step: job.last_error_step || null,
+    result: job.result,
+    next_attempt_at: job.next_attempt_at,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  });
+});
 
-    // Check if still showing session expired (cookies might be stale)
-    if (looksLikeRelyhomeSessionExpired(markdown)) {
-      console.log('[Worker] Session appears expired, attempting login...');
-      
-      if (!u || !p) {
-        console.log('[Worker] No credentials available for re-login');
-        throw new Error('Session expired and no credentials provided');
-      }
+// Opens the offer and reports how each slot would be scored, without
+// selecting or submitting anything.
+app.post('/offer/preview', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const { accept_url, account } = req.body;
 
-      // Clear stale cookies and login fresh
-      relyhomeCookies = null;
-      relyhomeCookiesUpdatedAt = 0;
-      
-      await loginToRelyHome(page, u, p);
-      await saveRelyhomeCookieCache(page);
+  if (!accept_url) {
+    return invalidRequest(res, 'accept_url required');
+  }
 
-      // After login, navigate directly to available jobs
-      const jobsUrl = 'https://relyhome.com/jobs/accept/available-swo.php';
-      console.log(`[Worker] Post-login navigation to: ${jobsUrl}`);
-      await page.goto(jobsUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-      await delay(3000);
+  const { preferences, errors } = normalizePreferences(rawPreferencesFrom(req.body));
+  if (errors.length) {
+    return invalidRequest(res, 'Invalid preferences', errors);
+  }
 
-      ({ markdown, jobLinks } = await extractJobData(page));
-      html = await page.content();
-      
-      console.log(`[Worker] Post-login content length: ${markdown.length}, links: ${jobLinks.length}`);
-      
-      // If still expired after fresh login, the URL might be wrong
-      if (looksLikeRelyhomeSessionExpired(markdown)) {
-        // Try to find correct jobs page from current page
-        const foundJobsUrl = await page.evaluate(() => {
-          const links = Array.from(document.querySelectorAll('a'));
-          for (const link of links) {
-            const text = (link.textContent || '').toLowerCase();
-            const href = link.href || '';
-            if (text.includes('available') || href.includes('available')) {
-              return href;
-            }
-          }
-          return null;
-        });
-        
-        if (foundJobsUrl && foundJobsUrl !== jobsUrl) {
-          console.log(`[Worker] Found alternative jobs URL: ${foundJobsUrl}`);
-          await page.goto(foundJobsUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-          await delay(3000);
-          ({ markdown, jobLinks } = await extractJobData(page));
-          html = await page.content();
-          console.log(`[Worker] Alternative URL content: ${markdown.length} chars, ${jobLinks.length} links`);
+  const relyhomeAccount = sessions.get(account);
+  if (!relyhomeAccount) {
+    return unknownAccount(res, account);
+  }
+  addContext({ account: relyhomeAccount.id });
+
+  try {
+    const preview = await browserPool.withPage(async (page) => {
+      await openOfferPage(page, { url: accept_url, account: relyhomeAccount });
+      const availableSlots = await extractSlots(page);
+      return { availableSlots, screenshot: await takeScreenshot(page) };
+    }, { account: relyhomeAccount });
+
+    const { slot: selected, matched, ranked } = selectSlot(preview.availableSlots, preferences, {
+      timeZone: PORTAL_TIMEZONE,
+    });
+    const describeSlot = (slot) => ({
+      ...normalizeSlot(slot, { timeZone: PORTAL_TIMEZONE }),
+      score: slot.score,
+      reasons: slot.reasons,
+      eligible: slot.eligible,
+      violations: slot.violations,
+    });
+
+    log.info(`Preview: ${ranked.length} slots, would select ${selected ? selected.label : 'none'}`);
+
+    res.json({
+      success: true,
+      account: relyhomeAccount.id,
+      strategy: preferences.strategy,
+      // Best first, in the order the accept flow would consider them
+      slots: ranked.map(describeSlot),
+      selected: selected ? describeSlot(selected) : null,
+      matched_preferences: matched,
+      ...screenshotFields(preview.screenshot),
+      previewed_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    log.error('Preview error', { error });
+    sendError(res, 500, error);
+  }
+}));
+
+// Reads an offer page without selecting a slot or submitting anything
+app.post('/offer/details', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const { accept_url, account } = req.body;
+
+  if (!accept_url) {
+    return invalidRequest(res, 'accept_url required');
+  }
+
+  const relyhomeAccount = sessions.get(account);
+  if (!relyhomeAccount) {
+    return unknownAccount(res, account);
+  }
+  addContext({ account: relyhomeAccount.id });
+
+  try {
+    const details = await browserPool.withPage(async (page) => {
+      await timedStep('details', 'open_offer', () => openOfferPage(page, { url: accept_url, account: relyhomeAccount }));
+      return await timedStep('details', 'extract_details', async () => {
+        const { summary, fields } = await extractOfferDetails(page);
+        const availableSlots = await extractSlots(page);
+        const text = await readMainText(page);
+        return { summary, fields, availableSlots, text };
+      });
+    }, { account: relyhomeAccount });
+
+    const slots = normalizeSlots(details.availableSlots);
+    const unavailable = classifyOutcome(details.text).outcome === 'offer_unavailable';
+
+    log.info(`Offer details: ${details.fields.length} fields, ${slots.length} slots`);
+
+    res.json({
+      success: true,
+      account: relyhomeAccount.id,
+      accept_url,
+      available: slots.length > 0 && !unavailable,
+      offer: details.summary,
+      fields: details.fields,
+      slots,
+      unparsed_slots: unparsedSlots(slots),
+      fetched_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    log.error('Offer details error', { error });
+    sendError(res, 500, error);
+  }
+}));
+
+// Runs one accept attempt. Resolves with the callback fields on success; on
+// failure the thrown error carries the screenshot and slots seen so far.
+async function processJob(payload, { commit } = {}) {
+  const { account: accountId, accept_url } = payload;
+  let screenshot = null;
+  let availableSlots = [];
+  const account = sessions.get(accountId);
+
+  try {
+    if (!account) throw new WorkerError('UNKNOWN_ACCOUNT', `Unknown account: ${accountId}`);
+
+    const { preferences, errors } = normalizePreferences(rawPreferencesFrom(payload));
+    if (errors.length) throw new WorkerError('INVALID_REQUEST', `Invalid preferences: ${errors.join('; ')}`);
+
+    const recording = { action: 'accept', id: payload.job_id, task_id: payload.task_id };
+    const { bestSlot, outcome, verification, matched } = await browserPool.withPage((page) => artifacts.record(page, recording, async () => {
+      try {
+        await timedStep('accept', 'open_offer', () => openOfferPage(page, { url: accept_url, account }));
+        availableSlots = await timedStep('accept', 'extract_slots', () => extractSlots(page));
+
+        log.info(`Found ${availableSlots.length} slots`);
+
+        if (availableSlots.length === 0) {
+          const text = await readMainText(page).catch(() => '');
+          if (classifyOutcome(text).outcome === 'offer_unavailable') {
+            throw new WorkerError('OFFER_ALREADY_TAKEN', 'Offer is no longer available', { step: 'extract_slots' });
+          }
+          throw new WorkerError('NO_SLOTS', 'No time slots found on page', { step: 'extract_slots' });
         }
+
+        const shouldVerify = typeof payload.verify === 'boolean' ? payload.verify : ACCEPT_VERIFY;
+        // The scheduled jobs page lists SWO numbers, so read ours before submitting
+        const swoNumber = shouldVerify ? await offerSwoNumber(page, accept_url) : null;
+
+        const { slot: bestSlot, matched } = selectSlot(availableSlots, preferences, { timeZone: PORTAL_TIMEZONE });
+        if (!bestSlot) {
+          throw new WorkerError('NO_MATCHING_SLOT', 'No available slot matches the preferences', { step: 'select_slot' });
+        }
+        log.info(`Selected: ${bestSlot.label}${matched ? '' : ' (no slot matched preferences; best fallback)'}`);
+
+        const radioSelector = bestSlot.id
+          ? `#${cssEscape(bestSlot.id)}`
+          : `input[type="radio"][name="${cssEscape(bestSlot.name)}"][value="${cssEscape(bestSlot.value)}"]`;
+
+        await timedStep('accept', 'select_slot', () => page.evaluate((sel) => {
+          const el = document.querySelector(sel);
+          if (el) el.click();
+        }, radioSelector));
+
+        await delay(500);
+
+        if (commit) commit();
+
+        const submitClicked = await timedStep('accept', 'submit', () => clickControl(page, {
+          key: 'offer.accept_submit',
+          textKey: 'offer.accept_submit_text',
+          candidates: 'input[type="submit"], button',
+        }));
+
+        if (!submitClicked) throw new WorkerError('SUBMIT_NOT_FOUND', 'Could not find submit button', { step: 'submit' });
+
+        const outcome = await timedStep('accept', 'confirm', async () => {
+          await Promise.race([
+            page.waitForNavigation({ timeout: 15000 }).catch(() => {}),
+            delay(5000),
+          ]);
+
+          screenshot = await takeScreenshot(page);
+
+          return classifyOutcome(await readMainText(page));
+        });
+
+        log.info(`Submit outcome: ${outcome.outcome}${outcome.confirmation_number ? ` (#${outcome.confirmation_number})` : ''}`);
+        assertAccepted(outcome);
+
+        let verification = null;
+        if (shouldVerify) {
+          // Only portal identifiers; the caller's job_id means nothing on the portal
+          verification = await timedStep('accept', 'verify', () =>
+            verifyScheduledJob(page, [outcome.confirmation_number, ...swoNumberVariants(swoNumber)])
+          );
+          if (!verification.verified) {
+            const error = new WorkerError(
+              'CONFIRMATION_UNKNOWN',
+              'Submitted, but the job does not appear in the scheduled jobs list',
+              { step: 'verify' }
+            );
+            error.outcome = { ...outcome, verification };
+            throw error;
+          }
+        }
+
+        return { bestSlot, outcome, verification, matched };
+      } catch (error) {
+        screenshot = await takeScreenshot(page);
+        throw error;
       }
+    }), { account });
+
+    const selected = normalizeSlot(bestSlot, { timeZone: PORTAL_TIMEZONE });
+    const slots = normalizeSlots(availableSlots);
+
+    return {
+      selected_slot: slotTimeText(bestSlot.label) || bestSlot.value,
+      selected_date: selected.date,
+      selected_day: selected.day,
+      selected,
+      confirmation_message: outcome.message || 'Job accepted',
+      confirmation_number: outcome.confirmation_number,
+      outcome: outcome.outcome,
+      verified: verification ? verification.verified : null,
+      preferences_matched: matched,
+      ...screenshotFields(screenshot, { callback: true }),
+      available_slots: slots,
+      unparsed_slots: unparsedSlots(slots),
+    };
+  } catch (err) {
+    const error = toWorkerError(err);
+    log.error('Accept failed', { error, error_code: error.code, step: error.step });
+    error.screenshot = screenshot;
+    error.available_slots = normalizeSlots(availableSlots);
+    throw error;
+  }
+}
+
+
+const OUTCOME_ERRORS = {
+  offer_unavailable: ['OFFER_ALREADY_TAKEN', 'Offer is no longer available'],
+  slot_unavailable: ['SLOT_UNAVAILABLE', 'Selected slot is no longer available'],
+  validation_error: ['SUBMIT_REJECTED', 'Portal rejected the submission'],
+  unknown: ['CONFIRMATION_UNKNOWN', 'Could not confirm the outcome after submitting'],
+};
+
+function assertAccepted(outcome) {
+  if (outcome.outcome === 'accepted') return;
+  const [code, message] = OUTCOME_ERRORS[outcome.outcome];
+  const error = new WorkerError(code, outcome.message ? `${message}: ${outcome.message}` : message, { step: 'confirm' });
+  error.outcome = outcome;
+  throw error;
+}
+
+// SWO number from the offer's detail fields, else the accept_url's swo param
+async function offerSwoNumber(page, acceptUrl) {
+  const { summary } = await extractOfferDetails(page).catch(() => ({ summary: {} }));
+  if (summary.swo_number) return summary.swo_number;
+  try {
+    return new URL(acceptUrl).searchParams.get('swo');
+  } catch (e) {
+    return null;
+  }
+}
+
+// "SWO-90001" may also be listed as plain "90001"
+function swoNumberVariants(swoNumber) {
+  if (!swoNumber) return [];
+  const digits = String(swoNumber).match(/^[A-Za-z]+[-\s#]*(\d{4,})$/);
+  return digits ? [String(swoNumber), digits[1]] : [String(swoNumber)];
+}
+
+// Whole-token match; ids under 4 characters would match times and dates
+function listsIdentifier(text, id) {
+  if (id.length < 4) return false;
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![A-Za-z0-9-])${escaped}(?![A-Za-z0-9-])`, 'i').test(text);
+}
+
+// Looks for the job on the account's scheduled jobs page after submitting
+async function verifyScheduledJob(page, identifiers) {
+  const wanted = [...new Set(identifiers.filter(Boolean).map(String))];
+  await page.goto(RELYHOME_SCHEDULED_SWO_URL, { waitUntil: 'networkidle2', timeout: 30000 });
+  await delay(2000);
+
+  const fullText = await page.evaluate(() => document.body?.innerText || '');
+  if (looksLikeRelyhomeSessionExpired(fullText)) {
+    sessionExpiredTotal.inc({ where: 'verify' });
+    return { verified: false, url: RELYHOME_SCHEDULED_SWO_URL, matched: null, reason: 'session_expired' };
+  }
+  const text = await readMainText(page);
+  const matched = wanted.find((id) => listsIdentifier(text, id)) || null;
+  log.info(`Scheduled jobs check: ${matched ? `found ${matched}` : 'not found'}`);
+  return { verified: Boolean(matched), url: RELYHOME_SCHEDULED_SWO_URL, matched, reason: matched ? null : 'not_listed' };
+}
+
+function normalizeSlots(slots) {
+  return slots.map((slot) => normalizeSlot(slot, { timeZone: PORTAL_TIMEZONE }));
+}
+
+function unparsedSlots(slots) {
+  return slots.filter((s) => s.parse_error).map((s) => ({ label: s.label, parse_error: s.parse_error }));
+}
+
+// Reports the final outcome of a queued accept job. Transient failures that
+// are being retried never reach here.
+async function finishAcceptJob(job, { result, error }) {
+  const { job_id, task_id, callback_url, auto_accept, batch_id } = job.payload;
+  const envelope = { action: 'accept', job_id, task_id };
+  if (auto_accept) envelope.auto_accept = auto_accept;
+  if (batch_id) envelope.batch_id = batch_id;
+
+  if (result) {
+    await sendCallback(callback_url, {
+      ...envelope,
+      success: true,
+      ...result,
+      error: null,
+      error_code: null,
+      retryable: null,
+      step: null,
+    });
+    return;
+  }
+
+  await sendCallback(callback_url, {
+    ...envelope,
+    success: false,
+    selected_slot: null,
+    selected_date: null,
+    selected_day: null,
+    selected: null,
+    confirmation_message: null,
+    confirmation_number: error.outcome ? error.outcome.confirmation_number || null : null,
+    outcome: error.outcome ? error.outcome.outcome : null,
+    outcome_message: error.outcome ? error.outcome.message : null,
+    verified: error.outcome && error.outcome.verification ? false : null,
+    ...screenshotFields(error.screenshot, { callback: true }),
+    artifacts_url: artifactsUrl('accept', job_id, { callback: true }),
+    available_slots: error.available_slots || [],
+    unparsed_slots: unparsedSlots(error.available_slots || []),
+    ...errorPayload(error),
+  });
+}
+
+async function processDecline(payload, { commit } = {}) {
+  const { account: accountId, accept_url, reason } = payload;
+  let screenshot = null;
+  const account = sessions.get(accountId);
+
+  try {
+    if (!account) throw new WorkerError('UNKNOWN_ACCOUNT', `Unknown account: ${accountId}`);
+
+    const recording = { action: 'decline', id: payload.job_id, task_id: payload.task_id };
+    const outcome = await browserPool.withPage((page) => artifacts.record(page, recording, async () => {
+      // Some portals confirm a decline with a JS dialog
+      page.on('dialog', (dialog) => dialog.accept(reason || undefined).catch(() => {}));
+      try {
+        await timedStep('decline', 'open_offer', () => openOfferPage(page, { url: accept_url, account }));
+
+        const before = await readMainText(page);
+        if (classifyOutcome(before).outcome === 'offer_unavailable') {
+          throw new WorkerError('OFFER_ALREADY_TAKEN', 'Offer is no longer available', { step: 'open_offer' });
+        }
+
+        if (commit) commit();
+
+        // The decline control may lead to a second form asking for a reason
+        let clicked = false;
+        for (let round = 0; round < 2; round++) {
+          const confirmOnly = round > 0;
+          const forms = await declineForms(page, { confirmOnly });
+          const filled = await timedStep('decline', 'decline', () => fillDeclineReason(page, forms, reason));
+          const found = await timedStep('decline', 'decline', () => clickDeclineControl(page, forms, { confirmOnly }));
+          await forms.dispose();
+          if (!found) break;
+          clicked = true;
+          log.info(`Clicked decline control${filled ? ' (reason filled)' : ''}`);
+          await Promise.race([
+            page.waitForNavigation({ timeout: 15000 }).catch(() => {}),
+            delay(5000),
+          ]);
+          const text = await readMainText(page);
+          if (classifyDeclineOutcome(text).outcome !== 'unknown') break;
+        }
+
+        if (!clicked) throw new WorkerError('SUBMIT_NOT_FOUND', 'Could not find decline control', { step: 'decline' });
+
+        const outcome = await timedStep('decline', 'confirm', async () => {
+          screenshot = await takeScreenshot(page);
+          return classifyDeclineOutcome(await readMainText(page));
+        });
+
+        log.info(`Decline outcome: ${outcome.outcome}`);
+        if (outcome.outcome !== 'declined') {
+          const [code, message] = OUTCOME_ERRORS[outcome.outcome];
+          const error = new WorkerError(code, outcome.message ? `${message}: ${outcome.message}` : message, { step: 'confirm' });
+          error.outcome = outcome;
+          throw error;
+        }
+        return outcome;
+      } catch (error) {
+        screenshot = await takeScreenshot(page);
+        throw error;
+      }
+    }), { account });
+
+    return {
+      outcome: outcome.outcome,
+      outcome_message: outcome.message,
+      reason: reason || null,
+      ...screenshotFields(screenshot, { callback: true }),
+    };
+  } catch (err) {
+    const error = toWorkerError(err);
+    log.error('Decline failed', { error, error_code: error.code, step: error.step });
+    error.screenshot = screenshot;
+    throw error;
+  }
+}
+
+// The offer form (the one holding the slot radios or the accept button), so
+// nav links and other forms are never clicked or filled. A follow-up reason
+// or confirm page has no offer form; there any form on the page will do.
+async function declineForms(page, { confirmOnly = false } = {}) {
+  const anchors = [...selectors.get('offer.slot_radio'), ...selectors.get('offer.accept_submit')];
+  return await page.evaluateHandle((anchors, confirmOnly) => {
+    for (const selector of anchors) {
+      const form = document.querySelector(selector)?.closest('form');
+      if (form) return [form];
+    }
+    return confirmOnly ? [...document.forms] : [];
+  }, anchors, confirmOnly);
+}
+
+// Fills a reason textarea/select in the forms if there is one; returns whether it did
+async function fillDeclineReason(page, forms, reason) {
+  return await page.evaluate((forms, reason, hints) => {
+    const inForms = (selector) => forms.flatMap((form) => [...form.querySelectorAll(selector)]);
+    const fields = inForms('textarea, select, input[type="text"]').filter((el) => {
+      const attrs = `${el.name} ${el.id} ${el.placeholder || ''}`.toLowerCase();
+      return hints.some((hint) => attrs.includes(hint.toLowerCase()));
+    });
+    for (const field of fields) {
+      if (field.tagName === 'SELECT') {
+        // Pick the option closest to the reason, else the first real choice
+        const options = [...field.options].filter((o) => o.value);
+        const wanted = String(reason || '').toLowerCase();
+        const match = options.find((o) => wanted && o.text.toLowerCase().includes(wanted)) ||
+          options.find((o) => /other/i.test(o.text)) || options[0];
+        if (!match) continue;
+        field.value = match.value;
+      } else {
+        if (!reason) continue;
+        field.value = reason;
+      }
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+    return false;
+  }, forms, reason || '', selectors.get('offer.decline_reason_hint'));
+}
+
+// Clicks the first submit control in the forms whose label is a whole decline
+// word, so "pass" does not match "Password" nor "reject" "Rejected Jobs"
+async function clickDeclineControl(page, forms, { confirmOnly = false } = {}) {
+  const key = confirmOnly ? 'offer.decline_confirm_text' : 'offer.decline_text';
+  const matched = await page.evaluate((forms, words) => {
+    const escaped = words.map((w) => w.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`\\b(?:${escaped.join('|')})\\b`);
+    const controls = forms.flatMap((form) => [...form.querySelectorAll('input[type="submit"], input[type="button"], button')]);
+    for (const el of controls) {
+      // "decline_button" reads as "decline button"
+      const text = `${el.value || ''} ${el.textContent || ''} ${el.name || ''}`.toLowerCase().replace(/[_-]+/g, ' ');
+      if (/\baccept\b/.test(text) && !/\b(?:decline|reject)\b/.test(text)) continue;
+      const hit = text.match(pattern);
+      if (hit) {
+        el.click();
+        return words.find((w) => w.toLowerCase() === hit[0]) || hit[0];
+      }
+    }
+    return null;
+  }, forms, selectors.get(key));
+  // Most declines have no confirmation step, so a missing confirm is no miss
+  if (matched || !confirmOnly) selectors.recordMatch(key, matched);
+  return !!matched;
+}
+
+async function finishDeclineJob(job, { result, error }) {
+  const { job_id, task_id, callback_url, reason } = job.payload;
+  const envelope = { action: 'decline', job_id, task_id };
+
+  if (result) {
+    await sendCallback(callback_url, {
+      ...envelope,
+      success: true,
+      ...result,
+      error: null,
+      error_code: null,
+      retryable: null,
+      step: null,
+    });
+    return;
+  }
+
+  await sendCallback(callback_url, {
+    ...envelope,
+    success: false,
+    outcome: error.outcome ? error.outcome.outcome : null,
+    outcome_message: error.outcome ? error.outcome.message : null,
+    reason: reason || null,
+    ...screenshotFields(error.screenshot, { callback: true }),
+    artifacts_url: artifactsUrl('decline', job_id, { callback: true }),
+    ...errorPayload(error),
+  });
+}
+
+// Navigates to an offer page, logging the account in again if the portal
+// bounced us to a login/expired screen.
+async function openOfferPage(page, { url, account }) {
+  await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+  await delay(1500);
+
+  const firstText = await page.evaluate(() => document.body?.innerText || '');
+  if (looksLikeRelyhomeSessionExpired(firstText)) {
+    log.info('Session expired on offer page; logging in...');
+    sessionExpiredTotal.inc({ where: 'offer_page' });
+    sessions.clearCookies(account);
+    await loginAccount(page, account);
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    await delay(1500);
+
+    const retryText = await page.evaluate(() => document.body?.innerText || '');
+    if (looksLikeRelyhomeSessionExpired(retryText)) {
+      throw new WorkerError('SESSION_EXPIRED', 'Offer page still looks expired after login');
     }
+  }
+}
+
+// Page text without navigation, so menu links such as "Scheduled Jobs" are
+// never read as an outcome or a scheduled job
+async function readMainText(page) {
+  return await page.evaluate(() => {
+    const root = document.querySelector('main, [role="main"]') || document.body;
+    if (!root) return '';
+    const box = document.createElement('div');
+    box.style.cssText = 'position:absolute;left:-100000px;top:0;width:1000px;';
+    box.append(...root.cloneNode(true).childNodes);
+    box.querySelectorAll('nav, [role="navigation"], footer, script, style, noscript').forEach((el) => el.remove());
+    document.body.appendChild(box);
+    const text = box.innerText || '';
+    box.remove();
+    return text;
+  });
+}
 
-    console.log(`[Worker] ========== SCRAPE RESULT ==========`);
-    console.log(`[Worker] Final content: ${markdown.length} chars, ${jobLinks.length} job links`);
+async function extractSlots(page) {
+  const { slots, selector } = await page.evaluate((candidates) => {
+    const slots = [];
+    const selector = candidates.find((sel) => document.querySelector(sel)) || null;
+    const radioButtons = selector ? document.querySelectorAll(selector) : [];
+    radioButtons.forEach((radio) => {
+      let labelText = '';
+      if (radio.id) {
+        const label = document.querySelector(`label[for="${radio.id}"]`);
+        if (label) labelText = label.textContent.trim();
+      }
+      if (!labelText) {
+        const parent = radio.closest('tr, div, li');
+        if (parent) labelText = parent.textContent.trim();
+      }
+      if (!labelText) labelText = radio.value;
+      slots.push({ value: radio.value, label: labelText, id: radio.id, name: radio.name });
+    });
+    return { slots, selector };
+  }, selectors.get('offer.slot_radio'));
+  selectors.recordMatch('offer.slot_radio', selector);
+  return slots;
+}
+
+// The slot's time window as printed on the portal, kept for the legacy
+// selected_slot callback field
+function slotTimeText(label) {
+  const text = stripDates(label);
+  const timeMatch = text.match(/(\d{1,2}(?::\d{2})?\s*(?:am|pm)?\s*(?:-|–|to)\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i);
+  return timeMatch ? timeMatch[1].trim() : null;
+}
+
+async function sendCallback(callbackUrl, data) {
+  try {
+    const result = await callbackDelivery.deliver(callbackUrl, data);
+    callbackDeliveries.inc({ result: result.skipped ? 'skipped' : result.delivered ? 'delivered' : 'dead_lettered' });
+    return result;
+  } catch (error) {
+    log.error('Callback error', { error });
+    callbackDeliveries.inc({ result: 'error' });
+    return null;
+  }
+}
+
+app.get('/callbacks/failed', requireWorkerSecret, (req, res) => {
+  const failed = callbackDelivery.listFailed();
+  res.json({ count: failed.length, failed });
+});
+
+app.post('/callbacks/:id/redeliver', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const result = await callbackDelivery.redeliver(req.params.id);
+  if (!result) {
+    return notFound(res, 'Failed callback not found');
+  }
+  res.status(result.delivered ? 200 : 502).json(result);
+}));
+
+app.post('/scrape', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const { url, username, password, account } = req.body;
+  log.info('Scrape request', { url, credentials_provided: !!(username && password) });
+
+  const relyhomeAccount = sessions.resolve({ account, username, password });
+  if (!relyhomeAccount) {
+    return unknownAccount(res, account);
+  }
+  addContext({ account: relyhomeAccount.id });
+
+  // Without a specific URL (or with the bare list URL) use the account's token
+  const scrapeUrl = !url || url === RELYHOME_AVAILABLE_SWO_URL ? portalUrlFor(relyhomeAccount) : url;
+  // Scrapes and logins have no job id; their bundles are keyed by request id
+  const requestId = currentContext().request_id;
+
+  try {
+    const { markdown, html, jobLinks, jobs } = await instrumented('scrape', () =>
+      browserPool.withPage(
+        (page) => artifacts.record(page, { action: 'scrape', id: requestId }, () =>
+          scrapeAvailableJobs(page, { url: scrapeUrl, account: relyhomeAccount })
+        ),
+        { account: relyhomeAccount }
+      )
+    );
+
+    // Ad-hoc credentials come from the request; rules never accept on their behalf
+    if (!relyhomeAccount.adHoc) autoAccept.evaluate(relyhomeAccount.id, jobs);
+
+    log.info('Scrape result', { content_chars: markdown.length, job_links: jobLinks.length, offers: jobs.length });
 
     res.json({
       success: true,
       raw_markdown: markdown,
       raw_html: html,
       job_links: jobLinks,
+      jobs,
       scraped_at: new Date().toISOString(),
     });
 
   } catch (error) {
-    console.error(`[Worker] Scrape error:`, error.message);
-    res.status(500).json({ success: false, error: error.message });
-  } finally {
-    if (browser) await browser.close();
+    log.error('Scrape error', { error });
+    sendError(res, 500, toWorkerError(error, 'scrape'), { artifacts_url: artifactsUrl('scrape', requestId) });
   }
+}));
+
+// Cookies from the cache are already applied by the pool when fresh
+async function scrapeAvailableJobs(page, { url, account }) {
+  const hasCookies = hasFreshCookieCache(account);
+  const { username: u, password: p } = sessions.credentials(account);
+  log.info(`Has fresh cookie cache for ${account.id}: ${hasCookies}`);
+
+  // If no fresh cookies and credentials provided, login first
+  if (!hasCookies && u && p) {
+    log.info('No cached cookies, logging in first...');
+    await loginAccount(page, account);
+    log.info('Login complete, now navigating to jobs page');
+  }
+
+  // Navigate to the jobs page
+  log.info(`Navigating to: ${url}`);
+  await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+  await delay(3000);
+
+  let { markdown, jobLinks, jobs } = await extractJobData(page);
+  let html = await page.content();
+  
+  log.info(`Initial content length: ${markdown.length}, links: ${jobLinks.length}`);
+  await artifacts.captureStep('scrape');
+
+  // Check if still showing session expired (cookies might be stale)
+  if (looksLikeRelyhomeSessionExpired(markdown)) {
+    log.info('Session appears expired, attempting login...');
+    sessionExpiredTotal.inc({ where: 'scrape' });
+    if (account.portalToken && account.portalToken.url === url) {
+      // The portal rejected the stored token; rediscover it below
+      sessions.clearPortalToken(account);
+    }
+    
+    if (!u || !p) {
+      log.info('No credentials available for re-login');
+      throw new WorkerError('CREDENTIALS_MISSING', 'Session expired and no credentials provided', { step: 'scrape' });
+    }
+
+    // Clear stale cookies and login fresh
+    sessions.clearCookies(account);
+    await loginAccount(page, account);
+
+    // After login, prefer a tokenized link from the landing page
+    const jobsUrl = (rememberPortalUrl(account, await findTokenizedUrl(page)) || {}).url || RELYHOME_AVAILABLE_SWO_URL;
+    log.info(`Post-login navigation to: ${jobsUrl}`);
+    await page.goto(jobsUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    await delay(3000);
+
+    ({ markdown, jobLinks, jobs } = await extractJobData(page));
+    html = await page.content();
+    
+    log.info(`Post-login content length: ${markdown.length}, links: ${jobLinks.length}`);
+    
+    // If still expired after fresh login, the URL might be wrong
+    if (looksLikeRelyhomeSessionExpired(markdown)) {
+      // Try to find correct jobs page from current page
+      const foundJobsUrl = await page.evaluate(() => {
+        const links = Array.from(document.querySelectorAll('a'));
+        for (const link of links) {
+          const text = (link.textContent || '').toLowerCase();
+          const href = link.href || '';
+          if (text.includes('available') || href.includes('available')) {
+            return href;
+          }
+        }
+        return null;
+      });
+      
+      if (foundJobsUrl && foundJobsUrl !== jobsUrl) {
+        log.info(`Found alternative jobs URL: ${foundJobsUrl}`);
+        await page.goto(foundJobsUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        await delay(3000);
+        ({ markdown, jobLinks, jobs } = await extractJobData(page));
+        html = await page.content();
+        log.info(`Alternative URL content: ${markdown.length} chars, ${jobLinks.length} links`);
+      }
+    }
+  }
+
+  if (!looksLikeRelyhomeSessionExpired(markdown)) rememberPortalUrl(account, page.url());
+
+  return { markdown, html, jobLinks, jobs };
+}
+
+// Stores the URL as the account's portal token when it carries vid/exp
+function rememberPortalUrl(account, url) {
+  const token = parsePortalToken(url);
+  if (token) sessions.setPortalToken(account, token);
+  return token;
+}
+
+function portalUrlFor(account) {
+  return sessions.hasFreshPortalToken(account) ? account.portalToken.url : RELYHOME_AVAILABLE_SWO_URL;
+}
+
+// The cookie session is tried first; a login only happens once the portal
+// asks for one, and then goes through the account's backoff and breaker.
+// Finding no token drops the stored one, so the refresher stops retrying
+// until a scrape or /login stores a new token.
+async function refreshPortalToken(account) {
+  const token = await browserPool.withPage(async (page) => {
+    if (hasFreshCookieCache(account)) {
+      const found = await findPortalTokenWithSession(page, account);
+      if (found) return found;
+    }
+    sessions.clearCookies(account);
+    return parsePortalToken(await loginAndDiscoverPortalUrl(page, { account }));
+  }, { account });
+  if (!token) sessions.clearPortalToken(account);
+  return token;
+}
+
+// Reads a tokenized link off the plain offer list using the page's cookies
+async function findPortalTokenWithSession(page, account) {
+  await page.goto(RELYHOME_AVAILABLE_SWO_URL, { waitUntil: 'networkidle2', timeout: 30000 });
+  const text = await page.evaluate(() => document.body?.innerText || '');
+  if (looksLikeRelyhomeSessionExpired(text)) {
+    log.info(`Cached session for ${account.id} expired; logging in to refresh the portal token`);
+    sessionExpiredTotal.inc({ where: 'token_refresh' });
+    return null;
+  }
+  return rememberPortalUrl(account, page.url()) || rememberPortalUrl(account, await findTokenizedUrl(page));
+}
+
+async function pollAvailableOffers(accountId) {
+  const account = sessions.get(accountId);
+  const { jobs, jobLinks, markdown } = await instrumented('scrape', () =>
+    browserPool.withPage(
+      (page) => scrapeAvailableJobs(page, { url: portalUrlFor(account), account }),
+      { account }
+    )
+  );
+  if (looksLikeRelyhomeSessionExpired(markdown)) {
+    throw new WorkerError('SESSION_EXPIRED', 'Session still looks expired after login', { step: 'scrape' });
+  }
+  // If the table could not be parsed, fall back to bare offer links so the
+  // poller still notices offers instead of reporting them all as removed
+  if (jobs.length === 0 && jobLinks.length > 0) {
+    return jobLinks.map((link) =>
+      parseOfferRow({ href: link.href, fields: {}, columns: {}, row_text: link.rowText || '' }, { timeZone: PORTAL_TIMEZONE })
+    );
+  }
+  return jobs;
+}
+
+app.get('/rules', requireWorkerSecret, (req, res) => {
+  res.json({ enabled: autoAccept.enabled, rules: autoAccept.listRules() });
+});
+
+app.get('/rules/decisions', requireWorkerSecret, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json({ decisions: autoAccept.listDecisions({ limit, rule_id: req.query.rule_id }) });
+});
+
+app.post('/rules', requireWorkerSecret, (req, res) => {
+  const { secret, ...input } = req.body || {};
+  const { rule, errors } = autoAccept.createRule(input);
+  if (errors) {
+    return invalidRequest(res, 'Invalid rule', errors);
+  }
+  res.status(201).json(rule);
+});
+
+app.get('/rules/:id', requireWorkerSecret, (req, res) => {
+  const rule = autoAccept.getRule(req.params.id);
+  if (!rule) {
+    return notFound(res, 'Rule not found');
+  }
+  res.json(rule);
+});
+
+app.put('/rules/:id', requireWorkerSecret, (req, res) => {
+  const { secret, ...input } = req.body || {};
+  const updated = autoAccept.updateRule(req.params.id, input);
+  if (!updated) {
+    return notFound(res, 'Rule not found');
+  }
+  if (updated.errors) {
+    return invalidRequest(res, 'Invalid rule', updated.errors);
+  }
+  res.json(updated.rule);
+});
+
+app.delete('/rules/:id', requireWorkerSecret, (req, res) => {
+  if (!autoAccept.deleteRule(req.params.id)) {
+    return notFound(res, 'Rule not found');
+  }
+  res.json({ deleted: req.params.id });
+});
+
+app.post('/poller/start', requireWorkerSecret, (req, res) => {
+  if (!POLLER_WEBHOOK_URL) {
+    return invalidRequest(res, 'POLLER_WEBHOOK_URL is not configured');
+  }
+  res.json(offerPoller.start(req.body || {}));
+});
+
+app.post('/poller/stop', requireWorkerSecret, (req, res) => {
+  res.json(offerPoller.stop());
+});
+
+app.get('/poller/status', requireWorkerSecret, (req, res) => {
+  res.json(offerPoller.status());
 });
 
 async function extractJobData(page) {
-  return await page.evaluate(() => {
+  const linkSelectors = selectors.get('offer_list.offer_link');
+  const { markdown, jobLinks, matched } = await page.evaluate((linkSelectors, fallbackWords, portalHost) => {
     const text = document.body.innerText || '';
     const links = [];
 
-    const acceptLinks = document.querySelectorAll('a[href*="/jobs/accept/offer.php"], a[href*="offer.php"]');
+    const matched = linkSelectors.find((sel) => document.querySelector(sel)) || null;
+    const acceptLinks = document.querySelectorAll(linkSelectors.join(', '));
     acceptLinks.forEach((link, index) => {
       const row = link.closest('tr');
       links.push({
@@ -639,226 +1963,286 @@ async function extractJobData(page) {
       document.querySelectorAll('a').forEach((link, index) => {
         const href = link.href || '';
         const textLower = (link.innerText || '').toLowerCase();
-        if (textLower.includes('accept') && href.includes('relyhome')) {
+        if (fallbackWords.some((w) => textLower.includes(w.toLowerCase())) && href.includes(portalHost)) {
           const row = link.closest('tr');
           links.push({ href: link.href, text: link.innerText || '', rowText: row ? row.innerText : '', index });
         }
       });
     }
 
-    return { markdown: text, jobLinks: links };
-  });
+    return { markdown: text, jobLinks: links, matched };
+  }, linkSelectors, selectors.get('offer_list.fallback_link_text'), RELYHOME_HOST);
+  // An empty offer list is normal, so only record actual matches
+  if (matched) selectors.recordMatch('offer_list.offer_link', matched);
+
+  let jobs = [];
+  try {
+    jobs = await extractOffers(page, { linkSelector: linkSelectors.join(', '), timeZone: PORTAL_TIMEZONE });
+  } catch (e) {
+    log.info(`Offer table parsing failed: ${e.message}`);
+  }
+
+  return { markdown, jobLinks, jobs };
 }
 
 // ENHANCED LOGIN ENDPOINT WITH MULTI-STRATEGY TOKEN DISCOVERY
-app.post('/login', async (req, res) => {
-  const { username, password, secret } = req.body;
-  console.log(`[Worker] ========== LOGIN REQUEST ==========`);
-  console.log(`[Worker] Username: ${username}`);
+app.post('/login', requireWorkerSecret, asyncRoute(async (req, res) => {
+  const { username, password, account } = req.body;
+  log.info('Login request', { username, requested_account: account || null });
 
-  if (WORKER_SECRET && secret !== WORKER_SECRET) {
-    return res.status(401).json({ success: false, error: 'Invalid secret' });
+  if (!account && (!username || !password)) {
+    return invalidRequest(res, 'Username and password required');
   }
 
-  if (!username || !password) {
-    return res.status(400).json({ success: false, error: 'Username and password required' });
+  const relyhomeAccount = sessions.resolve({ account, username, password });
+  if (!relyhomeAccount) {
+    return unknownAccount(res, account);
   }
+  addContext({ account: relyhomeAccount.id });
+  const requestId = currentContext().request_id;
 
-  let browser = null;
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
-    });
+    // A fresh login must not start from cached cookies, or the portal skips the form
+    const portalUrl = await instrumented('login', () =>
+      browserPool.withPage(
+        (page) => artifacts.record(page, { action: 'login', id: requestId }, () =>
+          loginAndDiscoverPortalUrl(page, { account: relyhomeAccount })
+        ),
+        { account: relyhomeAccount, applyCookies: false }
+      )
+    );
+
+    const token = parsePortalToken(portalUrl);
+    const hasTokens = !!token;
+    const sessionType = hasTokens ? 'TOKEN' : 'COOKIE';
 
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1280, height: 800 });
-
-    // Step 1: Login
-    await loginToRelyHome(page, username, password);
-    await saveRelyhomeCookieCache(page);
-
-    console.log(`[Worker] Login successful, current URL: ${page.url()}`);
-    await delay(2000);
-
-    // Step 2: Log all relevant links for debugging
-    const allLinksInfo = await page.evaluate(() => {
-      return Array.from(document.querySelectorAll('a')).map(a => ({
-        text: (a.textContent || '').trim().substring(0, 50),
-        href: a.href || ''
-      })).filter(l => 
-        l.href.includes('available') || 
-        l.href.includes('swo') || 
-        l.href.includes('vid') ||
-        l.href.includes('exp') ||
-        l.text.toLowerCase().includes('available') ||
-        l.text.toLowerCase().includes('job')
-      );
-    });
-    console.log('[Worker] Relevant links found after login:');
-    allLinksInfo.slice(0, 15).forEach((l, i) => {
-      console.log(`  ${i + 1}. "${l.text}" -> ${l.href}`);
+    log.info('Login result', { portal_url: portalUrl, has_tokens: hasTokens, session_type: sessionType });
+
+    res.json({
+      success: true,
+      account: relyhomeAccount.id,
+      portal_url: portalUrl || RELYHOME_AVAILABLE_SWO_URL,
+      has_tokens: hasTokens,
+      token_expires_at: token ? token.expires_at : null,
+      session_type: sessionType,
+      refreshed_at: new Date().toISOString(),
     });
 
-    let portalUrl = null;
+  } catch (error) {
+    log.error('Login error', { error });
+    sendError(res, 500, toWorkerError(error, 'discover_portal_url'), { artifacts_url: artifactsUrl('login', requestId) });
+  }
+}));
 
-    // Step 3: Check if any link already has tokens
-    const tokenizedLink = allLinksInfo.find(l => l.href.includes('vid=') && l.href.includes('exp='));
-    if (tokenizedLink) {
-      console.log(`[Worker] Found tokenized link directly: ${tokenizedLink.href}`);
-      portalUrl = tokenizedLink.href;
-    }
+async function loginAndDiscoverPortalUrl(page, { account }) {
+  // Step 1: Login
+  await loginAccount(page, account);
 
-    // Step 4: If no tokenized link, click on "Available" navigation
-    if (!portalUrl) {
-      console.log('[Worker] No tokenized link found, clicking navigation...');
-      
-      const clickResult = await page.evaluate(() => {
-        const allLinks = Array.from(document.querySelectorAll('a'));
-        for (const link of allLinks) {
-          const text = (link.textContent || '').toLowerCase();
-          const href = link.href || '';
-          if (text.includes('available') || href.includes('available-swo') || text.includes('accept job')) {
-            console.log('Clicking:', link.href);
-            link.click();
-            return { clicked: true, text: link.textContent, href: link.href };
-          }
-        }
-        return { clicked: false };
-      });
+  log.info(`Login successful, current URL: ${page.url()}`);
+  await delay(2000);
 
-      console.log(`[Worker] Click result:`, JSON.stringify(clickResult));
+  // Step 2: Log all relevant links for debugging
+  const allLinksInfo = await page.evaluate(() => {
+    return Array.from(document.querySelectorAll('a')).map(a => ({
+      text: (a.textContent || '').trim().substring(0, 50),
+      href: a.href || ''
+    })).filter(l => 
+      l.href.includes('available') || 
+      l.href.includes('swo') || 
+      l.href.includes('vid') ||
+      l.href.includes('exp') ||
+      l.text.toLowerCase().includes('available') ||
+      l.text.toLowerCase().includes('job')
+    );
+  });
+  log.debug(`Relevant links found after login: ${allLinksInfo.length}`);
+  allLinksInfo.slice(0, 15).forEach((l, i) => {
+    log.debug(`Relevant link ${i + 1}`, { text: l.text, href: l.href });
+  });
 
-      if (clickResult.clicked) {
-        await Promise.race([
-          page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 }).catch(() => {}),
-          delay(8000),
-        ]);
-        await delay(3000);
-        
-        portalUrl = page.url();
-        console.log(`[Worker] URL after clicking nav: ${portalUrl}`);
+  let portalUrl = null;
+
+  // Step 3: Check if any link already has tokens
+  const tokenizedLink = allLinksInfo.find(l => l.href.includes('vid=') && l.href.includes('exp='));
+  if (tokenizedLink) {
+    log.info(`Found tokenized link directly: ${tokenizedLink.href}`);
+    portalUrl = tokenizedLink.href;
+  }
+
+  // Step 4: If no tokenized link, click on "Available" navigation
+  if (!portalUrl) {
+    log.info('No tokenized link found, clicking navigation...');
+    
+    const clickResult = await page.evaluate(() => {
+      const allLinks = Array.from(document.querySelectorAll('a'));
+      for (const link of allLinks) {
+        const text = (link.textContent || '').toLowerCase();
+        const href = link.href || '';
+        if (text.includes('available') || href.includes('available-swo') || text.includes('accept job')) {
+          console.log('Clicking:', link.href);
+          link.click();
+          return { clicked: true, text: link.textContent, href: link.href };
+        }
       }
-    }
+      return { clicked: false };
+    });
 
-    // Step 5: Force navigation to available-swo.php
-    if (!portalUrl || (!portalUrl.includes('vid=') && !portalUrl.includes('exp='))) {
-      console.log('[Worker] Force navigating to available-swo.php...');
-      
-      await page.goto('https://relyhome.com/jobs/accept/available-swo.php', {
-        waitUntil: 'networkidle2',
-        timeout: 20000
-      });
-      
-      await delay(4000);
+    log.debug('Portal nav click result', { click: clickResult });
+
+    if (clickResult.clicked) {
+      await Promise.race([
+        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 }).catch(() => {}),
+        delay(8000),
+      ]);
+      await delay(3000);
       
       portalUrl = page.url();
-      console.log(`[Worker] URL after force navigation: ${portalUrl}`);
+      log.info(`URL after clicking nav: ${portalUrl}`);
     }
+  }
 
-    // Step 6: Search page HTML for tokenized URLs
-    if (!portalUrl.includes('vid=') || !portalUrl.includes('exp=')) {
-      console.log('[Worker] Searching page HTML for tokenized URLs...');
-      
-      const htmlContent = await page.content();
-      console.log(`[Worker] HTML content length: ${htmlContent.length}`);
-      console.log(`[Worker] HTML contains vid=: ${htmlContent.includes('vid=')}`);
-      console.log(`[Worker] HTML contains exp=: ${htmlContent.includes('exp=')}`);
-      
-      // Search for tokenized URLs in HTML
-      const foundUrl = await page.evaluate(() => {
-        // Method 1: Search all links
-        for (const a of document.querySelectorAll('a')) {
-          const href = a.href || a.getAttribute('href') || '';
-          if (href.includes('vid=') && href.includes('exp=')) {
-            return { url: href, source: 'link_href' };
-          }
-        }
-        
-        // Method 2: Search HTML source with regex
-        const html = document.documentElement.outerHTML;
-        
-        // Pattern 1: Full URL
-        const fullUrlMatch = html.match(/https?:\/\/[^\s"'<>]*available-swo\.php\?[^\s"'<>]*vid=[^\s"'<>]*exp=[^\s"'<>]*/i);
-        if (fullUrlMatch) {
-          return { url: fullUrlMatch[0], source: 'html_full_url' };
-        }
-        
-        // Pattern 2: Relative URL in href
-        const hrefMatch = html.match(/href=["']([^"']*available-swo\.php\?[^"']*vid=[^"']*exp=[^"']*)["']/i);
-        if (hrefMatch) {
-          return { url: hrefMatch[1], source: 'html_href' };
-        }
-        
-        // Pattern 3: Any URL with vid and exp
-        const anyMatch = html.match(/available-swo\.php\?[^\s"'<>]*vid=[^\s"'<>]*exp=[^\s"'<>]*/i);
-        if (anyMatch) {
-          return { url: 'https://relyhome.com/jobs/accept/' + anyMatch[0], source: 'html_partial' };
-        }
-        
-        // Method 3: Check iframes
-        for (const iframe of document.querySelectorAll('iframe')) {
-          const src = iframe.src || iframe.getAttribute('src') || '';
-          if (src.includes('vid=') && src.includes('exp=')) {
-            return { url: src, source: 'iframe' };
-          }
-        }
-        
-        // Method 4: Check form actions
-        for (const form of document.querySelectorAll('form')) {
-          const action = form.action || form.getAttribute('action') || '';
-          if (action.includes('vid=') && action.includes('exp=')) {
-            return { url: action, source: 'form_action' };
-          }
-        }
-        
-        return null;
-      });
+  // Step 5: Force navigation to available-swo.php
+  if (!portalUrl || (!portalUrl.includes('vid=') && !portalUrl.includes('exp='))) {
+    log.info('Force navigating to available-swo.php...');
+    
+    await page.goto(RELYHOME_AVAILABLE_SWO_URL, {
+      waitUntil: 'networkidle2',
+      timeout: 20000
+    });
+    
+    await delay(4000);
+    
+    portalUrl = page.url();
+    log.info(`URL after force navigation: ${portalUrl}`);
+  }
 
-      if (foundUrl) {
-        console.log(`[Worker] Found tokenized URL via ${foundUrl.source}: ${foundUrl.url}`);
-        portalUrl = foundUrl.url;
-        
-        // Normalize URL
-        if (portalUrl && !portalUrl.startsWith('http')) {
-          portalUrl = 'https://relyhome.com' + (portalUrl.startsWith('/') ? '' : '/') + portalUrl;
-        }
+  // Step 6: Search page HTML for tokenized URLs
+  if (!portalUrl.includes('vid=') || !portalUrl.includes('exp=')) {
+    log.info('Searching page HTML for tokenized URLs...');
+    
+    const htmlContent = await page.content();
+    log.info(`HTML content length: ${htmlContent.length}`);
+    log.info(`HTML contains vid=: ${htmlContent.includes('vid=')}`);
+    log.info(`HTML contains exp=: ${htmlContent.includes('exp=')}`);
+    
+    const foundUrl = await findTokenizedUrl(page);
+    if (foundUrl) portalUrl = foundUrl;
+  }
+
+  // Step 7: Final validation
+  if (portalUrl && portalUrl.includes('/login')) {
+    throw new WorkerError('SESSION_EXPIRED', 'Session failed - redirected back to login');
+  }
+
+  rememberPortalUrl(account, portalUrl);
+  return portalUrl;
+}
+
+// Searches the current page for an available-swo.php link carrying vid/exp
+async function findTokenizedUrl(page) {
+  const found = await page.evaluate((baseUrl) => {
+    // Method 1: Search all links
+    for (const a of document.querySelectorAll('a')) {
+      const href = a.href || a.getAttribute('href') || '';
+      if (href.includes('vid=') && href.includes('exp=')) {
+        return { url: href, source: 'link_href' };
       }
     }
 
-    // Step 7: Final validation
-    if (portalUrl && portalUrl.includes('/login')) {
-      throw new Error('Session failed - redirected back to login');
+    // Method 2: Search HTML source with regex
+    const html = document.documentElement.outerHTML;
+
+    // Pattern 1: Full URL
+    const fullUrlMatch = html.match(/https?:\/\/[^\s"'<>]*available-swo\.php\?[^\s"'<>]*vid=[^\s"'<>]*exp=[^\s"'<>]*/i);
+    if (fullUrlMatch) {
+      return { url: fullUrlMatch[0], source: 'html_full_url' };
     }
 
-    const hasTokens = portalUrl && portalUrl.includes('vid=') && portalUrl.includes('exp=');
-    const sessionType = hasTokens ? 'TOKEN' : 'COOKIE';
+    // Pattern 2: Relative URL in href
+    const hrefMatch = html.match(/href=["']([^"']*available-swo\.php\?[^"']*vid=[^"']*exp=[^"']*)["']/i);
+    if (hrefMatch) {
+      return { url: hrefMatch[1], source: 'html_href' };
+    }
 
-    console.log(`[Worker] ========== LOGIN RESULT ==========`);
-    console.log(`[Worker] Final portal URL: ${portalUrl}`);
-    console.log(`[Worker] Has tokens: ${hasTokens}`);
-    console.log(`[Worker] Session type: ${sessionType}`);
+    // Pattern 3: Any URL with vid and exp
+    const anyMatch = html.match(/available-swo\.php\?[^\s"'<>]*vid=[^\s"'<>]*exp=[^\s"'<>]*/i);
+    if (anyMatch) {
+      return { url: `${baseUrl}/jobs/accept/${anyMatch[0]}`, source: 'html_partial' };
+    }
 
-    res.json({
-      success: true,
-      portal_url: portalUrl || 'https://relyhome.com/jobs/accept/available-swo.php',
-      has_tokens: hasTokens,
-      session_type: sessionType,
-      refreshed_at: new Date().toISOString(),
-    });
+    // Method 3: Check iframes
+    for (const iframe of document.querySelectorAll('iframe')) {
+      const src = iframe.src || iframe.getAttribute('src') || '';
+      if (src.includes('vid=') && src.includes('exp=')) {
+        return { url: src, source: 'iframe' };
+      }
+    }
 
-  } catch (error) {
-    console.error(`[Worker] Login error:`, error.message);
-    res.status(500).json({ success: false, error: error.message });
-  } finally {
-    if (browser) await browser.close();
+    // Method 4: Check form actions
+    for (const form of document.querySelectorAll('form')) {
+      const action = form.action || form.getAttribute('action') || '';
+      if (action.includes('vid=') && action.includes('exp=')) {
+        return { url: action, source: 'form_action' };
+      }
+    }
+
+    return null;
+  }, RELYHOME_BASE_URL);
+  if (!found) return null;
+
+  log.info(`Found tokenized URL via ${found.source}`);
+  let url = found.url.replace(/&amp;/g, '&');
+  // Normalize URL
+  if (!url.startsWith('http')) {
+    url = RELYHOME_BASE_URL + (url.startsWith('/') ? '' : '/') + url;
+  }
+  return url;
+}
+
+// Last resort for anything a route threw; body-parser errors arrive here too
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (status < 500) {
+    return sendError(res, status, new WorkerError('INVALID_REQUEST', err.expose ? err.message : 'Invalid request'));
   }
+  log.error(`Unhandled error in ${req.method} ${req.path}: ${err.message}`, { stack: err.stack });
+  sendError(res, 500, err);
 });
 
-app.listen(PORT, () => {
-  console.log(`[Worker] Running on port ${PORT}`);
+const server = app.listen(PORT, () => {
+  log.info(`Running on port ${PORT}`);
+  if (!WORKER_PUBLIC_URL) {
+    log.warn(
+      SCREENSHOT_INLINE_BASE64
+        ? 'WORKER_PUBLIC_URL is not set; callbacks will carry screenshots as base64 and no artifacts_url'
+        : 'WORKER_PUBLIC_URL is not set and SCREENSHOT_INLINE_BASE64=false; callbacks will carry no screenshots or artifacts_url'
+    );
+  }
+  acceptQueue.start();
+  declineQueue.start();
+  if (PORTAL_TOKEN_REFRESH_ENABLED) portalTokenRefresher.start();
+  artifacts.start();
+  screenshots.start();
+  if (POLLER_ENABLED) {
+    if (POLLER_WEBHOOK_URL) offerPoller.start();
+    else log.error('POLLER_ENABLED is set but POLLER_WEBHOOK_URL is missing; poller not started');
+  }
 });
 
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    log.info(`${signal} received, shutting down`);
+    server.close();
+    offerPoller.stop();
+    portalTokenRefresher.stop();
+    artifacts.stop();
+    screenshots.stop();
+    await browserPool.close();
+    process.exit(0);
+  });
+}
+
 function cssEscape(value) {
   return String(value || '')
     .replace(/\\/g, '\\\\')
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLevel } = require('../lib/logger');
+const { createAutoAccept, ruleMatches } = require('../lib/autoAccept');
+
+setLevel('silent');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-accept-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function offer(id, fields = {}) {
+  return { offer_id: id, swo_number: `SWO-${id}`, accept_url: `https://portal.example/offer.php?id=${id}`, ...fields };
+}
+
+describe('ruleMatches', () => {
+  const rule = {
+    account: null,
+    zip_codes: [],
+    zip_prefixes: ['627'],
+    cities: [],
+    states: ['il'],
+    categories: ['fridge', 'refrigerator'],
+    warranty_companies: [],
+  };
+
+  it('needs every criterion set on the rule to match', () => {
+    assert.equal(ruleMatches(rule, 'default', { zip: '62704', state: 'IL', category: 'Refrigerator - French door' }), true);
+    assert.equal(ruleMatches(rule, 'default', { zip: '62704', state: 'MO', category: 'Refrigerator' }), false);
+    assert.equal(ruleMatches(rule, 'default', { zip: '63101', state: 'IL', category: 'Refrigerator' }), false);
+    assert.equal(ruleMatches(rule, 'default', { zip: '62704', state: 'IL', category: 'Dishwasher' }), false);
+  });
+
+  it('limits a rule to its account', () => {
+    assert.equal(ruleMatches({ ...rule, account: 'north' }, 'south', { zip: '62704', state: 'IL', category: 'fridge' }), false);
+  });
+});
+
+describe('createAutoAccept', () => {
+  let queued;
+  let auto;
+
+  function create(options = {}) {
+    return createAutoAccept({
+      filePath: path.join(dir, `${Math.random().toString(36).slice(2)}.json`),
+      enqueue: (payload) => {
+        const created = !queued.some((p) => p.job_id === payload.job_id && p.task_id === payload.task_id);
+        if (created) queued.push(payload);
+        return { created };
+      },
+      today: () => '2026-10-19',
+      validatePreferences: (preferences) => (preferences.strategy === 'random' ? ['strategy: invalid'] : []),
+      enabled: true,
+      ...options,
+    });
+  }
+
+  beforeEach(() => {
+    queued = [];
+    auto = create();
+  });
+
+  it('is disabled unless enabled explicitly', () => {
+    const disabled = create({ enabled: undefined });
+    disabled.createRule({ name: 'all', zip_prefixes: ['6'] });
+    assert.equal(disabled.enabled, false);
+    assert.deepEqual(disabled.evaluate('default', [offer('1', { zip: '62704' })]), []);
+  });
+
+  it('validates rules', () => {
+    const { errors } = auto.createRule({ daily_cap: -1, preferences: { strategy: 'random' } });
+    assert.deepEqual(errors, [
+      'name is required',
+      'daily_cap must be a non-negative integer',
+      'at least one of zip_codes, zip_prefixes, cities, states, categories, warranty_companies is required',
+      'preferences.strategy: invalid',
+    ]);
+  });
+
+  it('accepts a matching offer once', () => {
+    const { rule } = auto.createRule({ name: 'springfield', zip_codes: ['62704'] });
+    const [decision] = auto.evaluate('default', [offer('1', { zip: '62704' })]);
+    assert.equal(decision.decision, 'accept');
+    assert.equal(decision.rule_id, rule.id);
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].task_id, `auto:${rule.id}`);
+
+    assert.deepEqual(auto.evaluate('default', [offer('1', { zip: '62704' })]), []);
+    assert.equal(queued.length, 1);
+  });
+
+  it('re-evaluates unmatched offers when a rule is added later', () => {
+    const unmatched = offer('2', { zip: '63101' });
+    assert.equal(auto.evaluate('default', [offer('1', { zip: '62704' })]).length, 0);
+
+    auto.createRule({ name: 'springfield', zip_codes: ['62704'] });
+    const [first] = auto.evaluate('default', [unmatched]);
+    assert.equal(first.decision, 'no_match');
+    assert.deepEqual(auto.evaluate('default', [unmatched]), [], 'unchanged decisions are not recorded again');
+
+    auto.createRule({ name: 'st louis', zip_codes: ['63101'] });
+    const [second] = auto.evaluate('default', [unmatched]);
+    assert.equal(second.decision, 'accept');
+  });
+
+  it('stops at the daily cap and resumes when a later rule has room', () => {
+    auto.createRule({ name: 'capped', zip_prefixes: ['627'], daily_cap: 1, priority: 1 });
+    const decisions = auto.evaluate('default', [offer('1', { zip: '62704' }), offer('2', { zip: '62705' })]);
+    assert.deepEqual(decisions.map((d) => d.decision), ['accept', 'cap_reached']);
+    assert.equal(decisions[1].reason, 'daily cap of 1 reached');
+
+    auto.createRule({ name: 'overflow', zip_prefixes: ['627'], priority: 2 });
+    const [retry] = auto.evaluate('default', [offer('2', { zip: '62705' })]);
+    assert.equal(retry.decision, 'accept');
+    assert.equal(retry.rule_name, 'overflow');
+  });
+
+  it('does not count already queued accepts towards the cap', () => {
+    const { rule } = auto.createRule({ name: 'capped', zip_prefixes: ['627'], daily_cap: 1 });
+    queued.push({ job_id: 'SWO-1', task_id: `auto:${rule.id}` });
+
+    const decisions = auto.evaluate('default', [offer('1', { zip: '62704' }), offer('2', { zip: '62705' })]);
+    assert.deepEqual(decisions.map((d) => d.decision), ['already_queued', 'accept']);
+    assert.equal(auto.listDecisions({ rule_id: rule.id }).length, 2);
+  });
+
+  it('keeps rules and decisions across restarts', () => {
+    const filePath = path.join(dir, 'persisted.json');
+    const first = create({ filePath });
+    first.createRule({ name: 'springfield', zip_codes: ['62704'] });
+    first.evaluate('default', [offer('1', { zip: '62704' })]);
+
+    const second = create({ filePath });
+    assert.equal(second.listRules().length, 1);
+    assert.deepEqual(second.evaluate('default', [offer('1', { zip: '62704' })]), []);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeBatch } = require('../lib/batches');
+
+const batch = {
+  batch_id: 'batch-1',
+  account: 'default',
+  concurrency: 2,
+  items: [
+    { job_id: 'SWO-1', task_id: 't1', created: true },
+    { job_id: 'SWO-2', task_id: 't2', created: true },
+    { job_id: 'SWO-3', task_id: 't3', created: false },
+  ],
+  created_at: '2026-10-19T12:00:00.000Z',
+};
+
+function jobs(records) {
+  return (jobId) => records[jobId] || null;
+}
+
+describe('summarizeBatch', () => {
+  it('reports a batch as queued until a job starts', () => {
+    const summary = summarizeBatch(batch, jobs({
+      'SWO-1': { state: 'queued', attempts: 0 },
+      'SWO-2': { state: 'queued', attempts: 0 },
+      'SWO-3': { state: 'queued', attempts: 0 },
+    }));
+    assert.equal(summary.state, 'queued');
+    assert.equal(summary.total, 3);
+    assert.equal(summary.counts.queued, 3);
+    assert.deepEqual(summary.items.map((i) => i.duplicate), [false, false, true]);
+  });
+
+  it('aggregates job states and results', () => {
+    const summary = summarizeBatch(batch, jobs({
+      'SWO-1': {
+        state: 'succeeded',
+        attempts: 1,
+        result: { selected_slot: { date: '2026-10-21' }, outcome: 'scheduled' },
+        updated_at: '2026-10-19T12:01:00.000Z',
+      },
+      'SWO-2': { state: 'running', attempts: 1 },
+      'SWO-3': { state: 'failed', attempts: 3, last_error: 'No slots', last_error_code: 'NO_SLOTS' },
+    }));
+    assert.equal(summary.state, 'running');
+    assert.deepEqual(summary.counts, { queued: 0, running: 1, succeeded: 1, failed: 1, unknown: 0 });
+    assert.deepEqual(summary.items[0].selected_slot, { date: '2026-10-21' });
+    assert.equal(summary.items[0].outcome, 'scheduled');
+    assert.equal(summary.items[2].error, 'No slots');
+    assert.equal(summary.items[2].error_code, 'NO_SLOTS');
+  });
+
+  it('completes once every job finished or aged out of the queue', () => {
+    const summary = summarizeBatch(batch, jobs({
+      'SWO-1': { state: 'succeeded', attempts: 1 },
+      'SWO-2': { state: 'failed', attempts: 1 },
+    }));
+    assert.equal(summary.state, 'completed');
+    assert.equal(summary.counts.unknown, 1);
+    assert.equal(summary.items[2].state, 'unknown');
+    assert.equal(summary.items[2].attempts, null);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { setLevel } = require('../lib/logger');
+const { createCallbackDelivery, signPayload } = require('../lib/callbacks');
+
+setLevel('silent');
+
+const SECRET = 'callback-secret';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'callbacks-test-'));
+
+// Answers each POST with the next queued status (200 once the queue is empty)
+let statuses = [];
+const received = [];
+let server;
+let url;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.length ? statuses.shift() : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/callback`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function delivery(options = {}) {
+  return createCallbackDelivery({
+    filePath: path.join(dir, `${crypto.randomUUID()}.json`),
+    signingSecret: SECRET,
+    maxAttempts: 3,
+    baseDelayMs: 5,
+    ...options,
+  });
+}
+
+describe('signPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1760889600.{"a":1}').digest('hex');
+    assert.equal(signPayload(SECRET, 1760889600, '{"a":1}'), `sha256=${expected}`);
+    assert.notEqual(signPayload(SECRET, 1760889601, '{"a":1}'), signPayload(SECRET, 1760889600, '{"a":1}'));
+  });
+});
+
+describe('createCallbackDelivery', () => {
+  it('sends a signed body the receiver can verify', async () => {
+    received.length = 0;
+    const result = await delivery().deliver(url, { job_id: 'job-1', success: true });
+    assert.equal(result.delivered, true);
+
+    const [{ headers, body }] = received;
+    assert.deepEqual(JSON.parse(body), { job_id: 'job-1', success: true });
+    assert.equal(headers['x-worker-delivery-id'], result.id);
+    assert.equal(headers['x-worker-signature'], signPayload(SECRET, headers['x-worker-timestamp'], body));
+  });
+
+  it('leaves callbacks unsigned without a secret', async () => {
+    received.length = 0;
+    await delivery({ signingSecret: null }).deliver(url, { job_id: 'job-1' });
+    assert.equal(received[0].headers['x-worker-signature'], undefined);
+  });
+
+  it('retries server errors and delivers on a later attempt', async () => {
+    statuses = [503, 500];
+    const result = await delivery().deliver(url, { job_id: 'job-2' });
+    assert.equal(result.delivered, true);
+    assert.equal(result.attempts, 3);
+  });
+
+  it('keeps rejected callbacks for redelivery without retrying them', async () => {
+    statuses = [400];
+    const callbacks = delivery();
+    const result = await callbacks.deliver(url, { job_id: 'job-3', screenshot_base64: 'abc' });
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 1);
+
+    const [entry] = callbacks.listFailed();
+    assert.equal(entry.id, result.id);
+    assert.equal(entry.last_status, 400);
+    assert.deepEqual(entry.payload, { job_id: 'job-3', has_screenshot: true });
+
+    const again = await callbacks.redeliver(result.id);
+    assert.equal(again.delivered, true);
+    assert.deepEqual(callbacks.listFailed(), []);
+    assert.equal(await callbacks.redeliver(result.id), null);
+  });
+
+  it('reports a linked screenshot on dead letters', async () => {
+    statuses = [410];
+    const callbacks = delivery();
+    await callbacks.deliver(url, { job_id: 'job-5', screenshot_url: '/screenshots/abc.jpeg?expires=1&signature=x' });
+    assert.equal(callbacks.listFailed()[0].payload.has_screenshot, true);
+  });
+
+  it('skips delivery without a URL', async () => {
+    const result = await delivery().deliver(null, { job_id: 'job-4' });
+    assert.equal(result.skipped, true);
+  });
+});
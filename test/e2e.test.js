@@ -0,0 +1,400 @@
+/**
+ * End-to-end tests: the worker (server.js) runs as a child process with
+ * headless Chromium against the mock portal in test/mockPortal.js.
+ *
+ * Skipped when Chromium cannot be launched on this machine (set
+ * PUPPETEER_EXECUTABLE_PATH to use a system browser).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const express = require('express');
+const puppeteer = require('puppeteer');
+const { DEFAULT_LAUNCH_OPTIONS } = require('../lib/browserPool');
+const { createMockPortal, defaultOffers, DEFAULT_USERNAME, DEFAULT_PASSWORD } = require('./mockPortal');
+
+const SECRET = 'e2e-secret';
+const FLOW_TIMEOUT_MS = 90000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on('error', reject);
+  });
+}
+
+async function browserLaunchError() {
+  try {
+    const browser = await puppeteer.launch(DEFAULT_LAUNCH_OPTIONS);
+    await browser.close();
+    return null;
+  } catch (e) {
+    return e.message.split('\n')[0];
+  }
+}
+
+async function waitFor(fn, { timeoutMs = FLOW_TIMEOUT_MS, intervalMs = 250 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Collects the worker's callbacks
+function createCallbackReceiver() {
+  const received = [];
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+  app.post('/callback', (req, res) => {
+    received.push(req.body);
+    res.json({ ok: true });
+  });
+  let server;
+  return {
+    received,
+    start: () =>
+      new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/callback`));
+      }),
+    close: () => new Promise((resolve) => (server ? server.close(() => resolve()) : resolve())),
+    forJob: (jobId) => waitFor(() => received.find((c) => c.job_id === jobId)),
+  };
+}
+
+async function startWorker({ baseUrl, dataDir, webhookUrl }) {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      RELYHOME_BASE_URL: baseUrl,
+      RELYHOME_USERNAME: DEFAULT_USERNAME,
+      RELYHOME_PASSWORD: DEFAULT_PASSWORD,
+      AUTOMATION_WORKER_SECRET: SECRET,
+      WORKER_DATA_DIR: dataDir,
+      WORKER_PUBLIC_URL: url,
+      LOG_LEVEL: process.env.E2E_LOG_LEVEL || 'silent',
+      PORTAL_TOKEN_REFRESH_ENABLED: 'false',
+      POLLER_ENABLED: 'false',
+      POLLER_WEBHOOK_URL: webhookUrl,
+      POLLER_ACCOUNTS: 'default',
+      ACCEPT_MAX_ATTEMPTS: '2',
+      ACCEPT_RETRY_DELAY_MS: '500',
+      CALLBACK_MAX_ATTEMPTS: '1',
+      ARTIFACTS_MODE: 'failure',
+    },
+    stdio: ['ignore', 'inherit', 'inherit'],
+  });
+  await waitFor(() => fetch(`${url}/health`).then((r) => r.ok, () => false), { timeoutMs: 15000 });
+  return {
+    url,
+    stop: () =>
+      new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', () => resolve());
+        child.kill('SIGTERM');
+      }),
+  };
+}
+
+async function post(worker, route, body) {
+  const res = await fetch(`${worker.url}${route}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ secret: SECRET, ...body }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+describe('worker against the mock portal', { timeout: 10 * FLOW_TIMEOUT_MS }, () => {
+  let skipReason = null;
+  let portal;
+  let baseUrl;
+  let worker;
+  let callbacks;
+  let callbackUrl;
+  let dataDir;
+
+  before(async () => {
+    skipReason = await browserLaunchError();
+    if (skipReason) return;
+    portal = createMockPortal();
+    baseUrl = await portal.start();
+    callbacks = createCallbackReceiver();
+    callbackUrl = await callbacks.start();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relyhome-e2e-'));
+    worker = await startWorker({ baseUrl, dataDir, webhookUrl: callbackUrl });
+  });
+
+  after(async () => {
+    if (worker) await worker.stop();
+    if (callbacks) await callbacks.close();
+    if (portal) await portal.close();
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function skipWithoutBrowser(t) {
+    if (skipReason) t.skip(`Chromium unavailable: ${skipReason}`);
+    return !!skipReason;
+  }
+
+  async function accept(jobId, acceptUrl, extra = {}) {
+    const { status, body } = await post(worker, '/accept', {
+      job_id: jobId,
+      task_id: `task-${jobId}`,
+      accept_url: acceptUrl,
+      callback_url: callbackUrl,
+      ...extra,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'processing');
+    return callbacks.forJob(jobId);
+  }
+
+  // Puts another available offer on the portal, based on the first fixture
+  function addOffer(id, fields = {}) {
+    const offer = { ...defaultOffers()[0], id, swo: `SWO-9${id}`, status: 'available', ...fields };
+    portal.state.offers.push(offer);
+    return `${baseUrl}/jobs/accept/offer.php?id=${id}`;
+  }
+
+  async function getJson(route) {
+    const res = await fetch(`${worker.url}${route}`, { headers: { 'x-worker-secret': SECRET } });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('logs in and discovers the tokenized portal URL', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const { status, body } = await post(worker, '/login', { account: 'default' });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.has_tokens, true);
+    assert.match(body.portal_url, /available-swo\.php\?vid=[0-9a-f]+&exp=\d+/);
+    assert.ok(body.token_expires_at);
+    assert.equal(portal.state.logins, 1);
+  });
+
+  it('rejects invalid credentials', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const { status, body } = await post(worker, '/login', { username: 'someone@example.com', password: 'wrong' });
+    assert.equal(status, 500);
+    assert.equal(body.error_code, 'LOGIN_INVALID_CREDENTIALS');
+    assert.equal(body.retryable, false);
+  });
+
+  it('scrapes the available offers table', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const { status, body } = await post(worker, '/scrape', { account: 'default' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.jobs.map((j) => j.swo_number).sort(), ['SWO-90001', 'SWO-90002', 'SWO-90003']);
+    const fridge = body.jobs.find((j) => j.swo_number === 'SWO-90001');
+    assert.equal(fridge.zip, '33602');
+    assert.equal(fridge.category, 'Refrigerator');
+    assert.match(fridge.accept_url, /\/jobs\/accept\/offer\.php\?id=9001/);
+  });
+
+  it('logs in again when the portal session expired', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const loginsBefore = portal.state.logins;
+    portal.expireSessions();
+    const { status, body } = await post(worker, '/scrape', { account: 'default', url: `${baseUrl}/jobs/accept/available-swo.php` });
+    assert.equal(status, 200);
+    assert.equal(body.jobs.length, 3);
+    assert.equal(portal.state.logins, loginsBefore + 1);
+  });
+
+  for (const [id, radio] of [['9001', 'appttime'], ['9002', 'appointment']]) {
+    it(`accepts an offer with "${radio}" slot radios`, async (t) => {
+      if (skipWithoutBrowser(t)) return;
+      const callback = await accept(`job-${id}`, `${baseUrl}/jobs/accept/offer.php?id=${id}`);
+      assert.equal(callback.success, true, callback.error);
+      assert.equal(callback.outcome, 'accepted');
+      assert.equal(callback.verified, null);
+      const accepted = portal.state.accepted.find((a) => a.id === id);
+      assert.ok(accepted, 'portal recorded the acceptance');
+      assert.equal(callback.confirmation_number, accepted.confirmation);
+    });
+  }
+
+  it('accepts a "time_slot" offer and finds it on the scheduled jobs page', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const callback = await accept('job-9003', `${baseUrl}/jobs/accept/offer.php?id=9003`, { verify: true });
+    assert.equal(callback.success, true, callback.error);
+    assert.equal(callback.outcome, 'accepted');
+    assert.equal(callback.verified, true);
+  });
+
+  it('links the confirmation screenshot instead of inlining it', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const callback = callbacks.received.find((c) => c.job_id === 'job-9001');
+    assert.ok(callback, 'accept callback received');
+    assert.equal(callback.screenshot_base64, null);
+    assert.ok(callback.screenshot_url.startsWith(`${worker.url}/screenshots/`));
+    assert.match(callback.screenshot_url, /\/screenshots\/[0-9a-f-]+\.jpeg\?expires=\d+&signature=[0-9a-f]+$/);
+
+    const image = await fetch(callback.screenshot_url);
+    assert.equal(image.status, 200);
+    assert.equal(image.headers.get('content-type'), 'image/jpeg');
+
+    const unsigned = await fetch(callback.screenshot_url.split('?')[0]);
+    assert.equal(unsigned.status, 403);
+  });
+
+  it('reports an offer that was already taken', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const callback = await accept('job-9004', `${baseUrl}/jobs/accept/offer.php?id=9004`);
+    assert.equal(callback.success, false);
+    assert.equal(callback.error_code, 'OFFER_ALREADY_TAKEN');
+    assert.equal(callback.retryable, false);
+    assert.equal(callback.artifacts_url, `${worker.url}/artifacts/job-9004?action=accept`);
+  });
+
+  it('keeps an artifact bundle for the failed accept', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const res = await fetch(`${worker.url}/artifacts/job-9004`, { headers: { 'x-worker-secret': SECRET } });
+    assert.equal(res.status, 200);
+    const bundle = await res.json();
+    assert.equal(bundle.attempts.length, 1);
+    const [attempt] = bundle.attempts;
+    assert.equal(attempt.ok, false);
+    assert.equal(attempt.error.code, 'OFFER_ALREADY_TAKEN');
+    assert.deepEqual(attempt.steps.map((s) => s.step), ['open_offer', 'extract_slots', 'failure']);
+    assert.ok(attempt.urls.some((u) => u.includes('/jobs/accept/offer.php?id=9004')));
+
+    const html = await fetch(attempt.steps[0].html, { headers: { 'x-worker-secret': SECRET } });
+    assert.match(await html.text(), /no longer available/);
+  });
+
+  it('discards the bundle of a successful accept', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const res = await fetch(`${worker.url}/artifacts/job-9001`, { headers: { 'x-worker-secret': SECRET } });
+    assert.equal(res.status, 404);
+  });
+
+  it('falls back to the plain offer list when the portal hands out no tokens', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    portal.setOptions({ tokens: false });
+    try {
+      const { status, body } = await post(worker, '/login', { account: 'default' });
+      assert.equal(status, 200);
+      assert.equal(body.has_tokens, false);
+      assert.equal(body.session_type, 'COOKIE');
+      assert.equal(body.portal_url, `${baseUrl}/jobs/accept/available-swo.php`);
+    } finally {
+      portal.setOptions({ tokens: true });
+    }
+  });
+
+  it('reads offer details without touching the offer', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const acceptUrl = addOffer('9005', { slots: ['Thursday, October 22 - 8AM to 12PM', 'Thursday, October 22 - 1PM to 5PM'] });
+    const { status, body } = await post(worker, '/offer/details', { account: 'default', accept_url: acceptUrl });
+    assert.equal(status, 200);
+    assert.equal(body.available, true);
+    assert.equal(body.offer.swo_number, 'SWO-99005');
+    assert.equal(body.offer.warranty_company, 'First American');
+    assert.equal(body.offer.appliance, 'Refrigerator');
+    assert.deepEqual([body.offer.city, body.offer.state, body.offer.zip], ['Tampa', 'FL', '33602']);
+    assert.equal(body.slots.length, 2);
+    assert.match(body.slots[0].start, /-10-22T08:00:00-04:00$/);
+    assert.deepEqual(body.unparsed_slots, []);
+    assert.equal(portal.state.offers.find((o) => o.id === '9005').status, 'available');
+  });
+
+  it('previews the slot the preferences would pick', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const { status, body } = await post(worker, '/offer/preview', {
+      account: 'default',
+      accept_url: `${baseUrl}/jobs/accept/offer.php?id=9005`,
+      preferences: { earliest_start: '10am', reject_if_no_match: true },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.selected.label, 'Thursday, October 22 - 1PM to 5PM');
+    assert.equal(body.matched_preferences, true);
+    assert.deepEqual(body.slots.map((s) => s.eligible), [true, false]);
+    assert.ok(body.screenshot_url.startsWith(`${worker.url}/screenshots/`));
+    assert.equal(portal.state.offers.find((o) => o.id === '9005').status, 'available');
+  });
+
+  it('declines an offer through the offer form', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const { status } = await post(worker, '/decline', {
+      job_id: 'job-9005',
+      task_id: 'task-job-9005',
+      accept_url: `${baseUrl}/jobs/accept/offer.php?id=9005`,
+      callback_url: callbackUrl,
+      reason: 'Outside service area',
+    });
+    assert.equal(status, 200);
+    const callback = await callbacks.forJob('job-9005');
+    assert.equal(callback.action, 'decline');
+    assert.equal(callback.success, true, callback.error);
+    assert.equal(callback.outcome, 'declined');
+    assert.equal(callback.reason, 'Outside service area');
+    assert.deepEqual(portal.state.declined, [{ id: '9005', swo: 'SWO-99005' }]);
+  });
+
+  it('accepts a batch of offers and reports each one', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const offers = ['9006', '9007'].map((id) => ({
+      job_id: `job-${id}`,
+      task_id: `task-job-${id}`,
+      accept_url: addOffer(id),
+      verify: true,
+    }));
+
+    const invalid = await post(worker, '/accept/batch', { account: 'default', offers: [{ ...offers[0], verify: 'yes' }] });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, ['offers[0]: verify must be a boolean']);
+
+    const { status, body } = await post(worker, '/accept/batch', { account: 'default', callback_url: callbackUrl, offers });
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+
+    const batch = await waitFor(async () => {
+      const { body: summary } = await getJson(`/accept/batch/${body.batch_id}`);
+      return summary.state === 'completed' && summary;
+    });
+    assert.equal(batch.counts.succeeded, 2);
+    assert.deepEqual(batch.items.map((i) => i.outcome), ['accepted', 'accepted']);
+    for (const offer of offers) {
+      const callback = await callbacks.forJob(offer.job_id);
+      assert.equal(callback.verified, true);
+    }
+    assert.ok(['9006', '9007'].every((id) => portal.state.accepted.some((a) => a.id === id)));
+  });
+
+  it('reports new and removed offers from the poller', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    addOffer('9008');
+    const event = (name) => waitFor(() =>
+      callbacks.received.find((c) => c.event === name && c.offer && c.offer.swo_number === 'SWO-99008')
+    );
+    const started = await post(worker, '/poller/start', { interval_ms: 1000, jitter_ms: 0 });
+    assert.equal(started.status, 200);
+    try {
+      const added = await event('new_offer');
+      assert.equal(added.account, 'default');
+      assert.equal(added.offer.zip, '33602');
+
+      portal.state.offers.find((o) => o.id === '9008').status = 'taken';
+      const removed = await event('offer_removed');
+      assert.ok(removed.first_seen_at);
+    } finally {
+      await post(worker, '/poller/stop', {});
+    }
+  });
+});
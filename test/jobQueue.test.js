@@ -0,0 +1,162 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLevel } = require('../lib/logger');
+const { createJobQueue, jobKey } = require('../lib/jobQueue');
+
+setLevel('silent');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+const nextFile = () => path.join(dir, `queue-${++files}.json`);
+
+// nextFinished() resolves with the { job, outcome } of the next finished job.
+// Its timer also keeps the process alive while the queue waits on its own
+// unref'd retry timer.
+function queueWith(options) {
+  const finished = [];
+  const waiters = [];
+  const queue = createJobQueue({
+    filePath: nextFile(),
+    retryDelayMs: 10,
+    ...options,
+    onFinished: (job, outcome) => {
+      const waiter = waiters.shift();
+      if (waiter) waiter({ job, outcome });
+      else finished.push({ job, outcome });
+    },
+  });
+  const nextFinished = () =>
+    finished.length
+      ? Promise.resolve(finished.shift())
+      : new Promise((resolve, reject) => {
+          const timer = setTimeout(() => reject(new Error('no job finished within 5s')), 5000);
+          waiters.push((value) => {
+            clearTimeout(timer);
+            resolve(value);
+          });
+        });
+  return { queue, nextFinished };
+}
+
+describe('jobKey', () => {
+  it('combines job and task ids', () => {
+    assert.equal(jobKey('job-1', 'task-1'), 'job-1::task-1');
+    assert.equal(jobKey('job-1'), 'job-1::');
+  });
+});
+
+describe('createJobQueue', () => {
+  it('never enqueues the same job and task twice', () => {
+    const { queue } = queueWith({ handler: async () => ({}) });
+    assert.equal(queue.enqueue({ job_id: 'a', task_id: '1' }).created, true);
+    assert.equal(queue.enqueue({ job_id: 'a', task_id: '1' }).created, false);
+    assert.equal(queue.enqueue({ job_id: 'a', task_id: '2' }).created, true);
+    assert.equal(queue.stats().queued, 2);
+  });
+
+  it('retries transient failures with backoff until they succeed', async () => {
+    let calls = 0;
+    const { queue, nextFinished } = queueWith({
+      handler: async () => {
+        calls++;
+        if (calls < 3) throw Object.assign(new Error('timeout'), { code: 'NAVIGATION_TIMEOUT' });
+        return { ok: true };
+      },
+      isRetryable: (error) => error.code === 'NAVIGATION_TIMEOUT',
+    });
+    queue.start();
+    queue.enqueue({ job_id: 'a' });
+    const { job, outcome } = await nextFinished();
+    assert.deepEqual(outcome.result, { ok: true });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.attempts, 3);
+    assert.equal(job.last_error, null);
+  });
+
+  it('does not retry a job after it committed', async () => {
+    const { queue, nextFinished } = queueWith({
+      handler: async (payload, { commit }) => {
+        commit();
+        throw Object.assign(new Error('timeout'), { code: 'NAVIGATION_TIMEOUT', step: 'confirm' });
+      },
+      isRetryable: () => true,
+    });
+    queue.start();
+    queue.enqueue({ job_id: 'a' });
+    const { job, outcome } = await nextFinished();
+    assert.equal(outcome.error.code, 'NAVIGATION_TIMEOUT');
+    assert.equal(job.state, 'failed');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.last_error_step, 'confirm');
+  });
+
+  it('keeps a group to its own concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+    const { queue, nextFinished } = queueWith({
+      concurrency: 3,
+      handler: async () => {
+        peak = Math.max(peak, ++active);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        active--;
+      },
+    });
+    queue.start();
+    for (const id of ['a', 'b', 'c', 'd']) queue.enqueue({ job_id: id }, { group: 'batch', groupLimit: 2 });
+    for (let i = 0; i < 4; i++) await nextFinished();
+    assert.equal(peak, 2);
+  });
+
+  it('frees the slot before reporting a finished job', async () => {
+    const started = [];
+    let release;
+    const reported = new Promise((resolve) => (release = resolve));
+    const queue = createJobQueue({
+      filePath: nextFile(),
+      handler: async (payload) => started.push(payload.job_id),
+      onFinished: (job) => (job.job_id === 'a' ? reported : null),
+    });
+    queue.start();
+    queue.enqueue({ job_id: 'a' });
+    queue.enqueue({ job_id: 'b' });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(queue.stats().succeeded, 2);
+    release();
+  });
+
+  it('resumes interrupted jobs on start and fails those that had committed', async () => {
+    const filePath = nextFile();
+    const now = new Date().toISOString();
+    const job = (id, state, committed) => ({
+      key: jobKey(id),
+      job_id: id,
+      task_id: undefined,
+      state,
+      attempts: 1,
+      max_attempts: 3,
+      committed,
+      payload: { job_id: id },
+      created_at: now,
+      updated_at: now,
+    });
+    fs.writeFileSync(filePath, JSON.stringify({ jobs: [job('resumed', 'running', false), job('submitted', 'running', true)] }));
+
+    const handled = [];
+    const { queue, nextFinished } = queueWith({ filePath, handler: async (payload) => handled.push(payload.job_id) });
+    queue.start();
+    const results = [await nextFinished(), await nextFinished()];
+    const byId = Object.fromEntries(results.map(({ job, outcome }) => [job.job_id, { job, outcome }]));
+
+    assert.equal(byId.submitted.outcome.error.code, 'CONFIRMATION_UNKNOWN');
+    assert.equal(byId.submitted.job.state, 'failed');
+    assert.equal(byId.resumed.job.state, 'succeeded');
+    assert.equal(byId.resumed.job.attempts, 2);
+    assert.deepEqual(handled, ['resumed']);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, redactString, runWithContext, addContext, currentContext } = require('../lib/logger');
+
+describe('redact', () => {
+  it('hides secrets by key at any depth', () => {
+    const out = redact({
+      password: 'hunter2',
+      secret: 's',
+      cookies: [{ name: 'PHPSESSID', value: 'x' }],
+      portal_token: { vid: 'abc' },
+      callback: { signature: 'sha256=1', screenshot_base64: 'AAAA', status: 200 },
+    });
+    assert.deepEqual(out, {
+      password: '[redacted]',
+      secret: '[redacted]',
+      cookies: '[redacted]',
+      portal_token: '[redacted]',
+      callback: { signature: '[redacted]', screenshot_base64: '[redacted]', status: 200 },
+    });
+  });
+
+  it('masks usernames and email account ids', () => {
+    assert.deepEqual(redact({ username: 'tech@example.com', account: 'tech@example.com' }), {
+      username: 't***@example.com',
+      account: 't***@example.com',
+    });
+    assert.deepEqual(redact({ account: 'default' }), { account: 'default' });
+  });
+
+  it('keeps only the message, code and step of errors', () => {
+    const error = Object.assign(new Error('Login failed for tech@example.com'), { code: 'LOGIN_FAILED', step: 'login' });
+    assert.deepEqual(redact({ error }), { error: { message: 'Login failed for t***@example.com', code: 'LOGIN_FAILED', step: 'login' } });
+  });
+});
+
+describe('redactString', () => {
+  it('scrubs portal tokens, credentials in query strings and emails', () => {
+    assert.equal(
+      redactString('https://portal.example/available-swo.php?vid=abc123&exp=1760889600#top'),
+      'https://portal.example/available-swo.php?vid=[redacted]&exp=[redacted]#top'
+    );
+    assert.equal(redactString('password=hunter2&user=x'), 'password=[redacted]&user=x');
+    assert.equal(redactString('/screenshots/a.png?expires=1&signature=f00d'), '/screenshots/a.png?expires=1&signature=[redacted]');
+    assert.equal(redactString('Logged in as jane.doe@example.com'), 'Logged in as j***@example.com');
+  });
+});
+
+describe('runWithContext', () => {
+  it('nests contexts unless asked for a fresh one', () => {
+    runWithContext({ request_id: 'r1' }, () => {
+      addContext({ account: 'default' });
+      runWithContext({ job_id: 'j1' }, () => {
+        assert.deepEqual(currentContext(), { request_id: 'r1', account: 'default', job_id: 'j1' });
+      });
+      runWithContext({ job_id: 'j2' }, () => {
+        assert.deepEqual(currentContext(), { job_id: 'j2' });
+      }, { fresh: true });
+    });
+    assert.deepEqual(currentContext(), {});
+  });
+});
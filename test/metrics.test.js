@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../lib/metrics');
+
+describe('createMetricsRegistry', () => {
+  it('renders counters and gauges per label set', () => {
+    const registry = createMetricsRegistry({ prefix: 'worker_' });
+    const jobs = registry.counter('jobs_total', 'Jobs run');
+    jobs.inc({ result: 'success' });
+    jobs.inc({ result: 'success' }, 2);
+    jobs.inc({ result: 'error', code: 'say "hi"\n' });
+    let queued = 0;
+    const depth = registry.gauge('queue_depth', 'Queued jobs');
+    registry.collect(() => depth.set(queued));
+    queued = 4;
+
+    assert.equal(
+      registry.render(),
+      [
+        '# HELP worker_jobs_total Jobs run',
+        '# TYPE worker_jobs_total counter',
+        'worker_jobs_total{result="success"} 3',
+        'worker_jobs_total{result="error",code="say \\"hi\\"\\n"} 1',
+        '# HELP worker_queue_depth Queued jobs',
+        '# TYPE worker_queue_depth gauge',
+        'worker_queue_depth 4',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = createMetricsRegistry();
+    const duration = registry.histogram('step_seconds', 'Step duration', [1, 0.5]);
+    duration.observe({ step: 'login' }, 0.2);
+    duration.observe({ step: 'login' }, 0.7);
+    duration.observe({ step: 'login' }, 3);
+
+    const lines = registry.render().split('\n');
+    assert.deepEqual(lines.slice(2, 7), [
+      'step_seconds_bucket{step="login",le="0.5"} 1',
+      'step_seconds_bucket{step="login",le="1"} 2',
+      'step_seconds_bucket{step="login",le="+Inf"} 3',
+      'step_seconds_sum{step="login"} 3.9',
+      'step_seconds_count{step="login"} 3',
+    ]);
+  });
+
+  it('times failing calls too', async () => {
+    const registry = createMetricsRegistry();
+    const duration = registry.histogram('step_seconds', 'Step duration');
+    await assert.rejects(duration.time({ step: 'accept' }, async () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.match(registry.render(), /step_seconds_count\{step="accept"\} 1/);
+  });
+});
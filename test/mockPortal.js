@@ -0,0 +1,366 @@
+/**
+ * Offline stand-in for the RelyHome portal, used by the e2e suite and for
+ * poking at the worker locally (`npm run mock-portal`, then start the worker
+ * with RELYHOME_BASE_URL pointing at it).
+ *
+ * Serves fixture versions of the pages the worker depends on: the login
+ * form, available-swo.php with or without vid/exp tokens, offer.php in each
+ * slot radio variant, confirmation / "already taken" pages and scheduled-swo.php.
+ * Pages behind the login redirect to /login when the session is missing or
+ * was expired with expireSessions().
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_USERNAME = 'tech@example.com';
+const DEFAULT_PASSWORD = 'correct-horse';
+const SESSION_COOKIE = 'mock_portal_session';
+const TOKEN_TTL_MS = 1000 * 60 * 60;
+
+// One offer per slot radio name the worker has to cope with, plus one that
+// someone else already took
+function defaultOffers() {
+  return [
+    {
+      id: '9001',
+      swo: 'SWO-90001',
+      warranty: 'First American',
+      city: 'Tampa',
+      state: 'FL',
+      zip: '33602',
+      appliance: 'Refrigerator',
+      offered: '10/20/2026',
+      radio: 'appttime',
+      slots: ['10/21/2026 8:00 AM - 12:00 PM', '10/21/2026 12:00 PM - 4:00 PM'],
+      status: 'available',
+    },
+    {
+      id: '9002',
+      swo: 'SWO-90002',
+      warranty: 'Choice Home Warranty',
+      city: 'Orlando',
+      state: 'FL',
+      zip: '32801',
+      appliance: 'Dishwasher',
+      offered: '10/20/2026',
+      radio: 'appointment',
+      slots: ['10/22/2026 8:00 AM - 12:00 PM'],
+      status: 'available',
+    },
+    {
+      id: '9003',
+      swo: 'SWO-90003',
+      warranty: 'AHS',
+      city: 'Miami',
+      state: 'FL',
+      zip: '33101',
+      appliance: 'Washer',
+      offered: '10/19/2026',
+      radio: 'time_slot',
+      slots: ['10/23/2026 1:00 PM - 5:00 PM'],
+      status: 'available',
+    },
+    {
+      id: '9004',
+      swo: 'SWO-90004',
+      warranty: 'First American',
+      city: 'Sarasota',
+      state: 'FL',
+      zip: '34236',
+      appliance: 'Oven',
+      offered: '10/18/2026',
+      radio: 'appttime',
+      slots: ['10/24/2026 8:00 AM - 12:00 PM'],
+      status: 'taken',
+    },
+  ];
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function layout(title, body) {
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)} - RelyHome</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+/**
+ * Options:
+ *   username / password  credentials the login form accepts
+ *   tokens               hand out tokenized available-swo.php links (default true)
+ *   offers               offer fixtures (defaults to defaultOffers())
+ */
+function createMockPortal({ username = DEFAULT_USERNAME, password = DEFAULT_PASSWORD, tokens = true, offers } = {}) {
+  const options = { tokens };
+  const sessions = new Set();
+  const issuedTokens = new Map();
+  const state = {
+    offers: offers || defaultOffers(),
+    logins: 0,
+    failedLogins: 0,
+    accepted: [],
+    declined: [],
+  };
+  let confirmationSeq = 48210;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  function hasSession(req) {
+    return sessions.has(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+  }
+
+  function requireSession(req, res, next) {
+    if (!hasSession(req)) return res.redirect(302, '/login');
+    next();
+  }
+
+  function issueToken() {
+    const vid = crypto.randomBytes(12).toString('hex');
+    const exp = Math.floor((Date.now() + TOKEN_TTL_MS) / 1000);
+    issuedTokens.set(vid, exp);
+    return { vid, exp };
+  }
+
+  function availableUrl() {
+    if (!options.tokens) return '/jobs/accept/available-swo.php';
+    const { vid, exp } = issueToken();
+    return `/jobs/accept/available-swo.php?vid=${vid}&exp=${exp}`;
+  }
+
+  function loginPage(error) {
+    return layout(
+      'Sign in',
+      `<h1>Sign in to RelyHome</h1>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/login">
+  <label for="username">Email</label>
+  <input type="email" name="username" id="username">
+  <label for="password">Password</label>
+  <input type="password" name="password" id="password">
+  <button type="submit" class="login-btn">Log In</button>
+</form>`
+    );
+  }
+
+  function offerTable() {
+    const rows = state.offers
+      .filter((o) => o.status === 'available')
+      .map(
+        (o) => `<tr>
+    <td>${escapeHtml(o.swo)}</td><td>${escapeHtml(o.warranty)}</td><td>${escapeHtml(o.city)}</td>
+    <td>${escapeHtml(o.state)}</td><td>${escapeHtml(o.zip)}</td><td>${escapeHtml(o.appliance)}</td>
+    <td>${escapeHtml(o.offered)}</td>
+    <td><a href="/jobs/accept/offer.php?id=${encodeURIComponent(o.id)}&swo=${encodeURIComponent(o.swo)}">Accept</a></td>
+  </tr>`
+      )
+      .join('\n');
+    return `<table class="offers">
+  <thead><tr><th>SWO #</th><th>Warranty</th><th>City</th><th>State</th><th>Zip</th><th>Appliance</th><th>Offered</th><th></th></tr></thead>
+  <tbody>
+  ${rows}
+  </tbody>
+</table>`;
+  }
+
+  function nav() {
+    return `<nav>
+  <a href="/dashboard">Dashboard</a>
+  <a href="${availableUrl()}">Available Jobs</a>
+  <a href="/jobs/accept/scheduled-swo.php">Scheduled Jobs</a>
+  <a href="/logout">Log out</a>
+</nav>`;
+  }
+
+  app.get('/login', (req, res) => {
+    res.send(loginPage());
+  });
+
+  app.post('/login', (req, res) => {
+    if (req.body.username !== username || req.body.password !== password) {
+      state.failedLogins++;
+      return res.status(200).send(loginPage('Invalid password. Please try again.'));
+    }
+    state.logins++;
+    const id = crypto.randomBytes(16).toString('hex');
+    sessions.add(id);
+    res.cookie(SESSION_COOKIE, id, { httpOnly: true, path: '/' });
+    res.redirect(302, '/dashboard');
+  });
+
+  app.get('/logout', (req, res) => {
+    sessions.delete(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+    res.redirect(302, '/login');
+  });
+
+  app.get('/dashboard', requireSession, (req, res) => {
+    res.send(
+      layout(
+        'Dashboard',
+        `${nav()}
+<h1>Welcome back, technician</h1>
+<p>You have ${state.offers.filter((o) => o.status === 'available').length} job offers waiting in your dashboard.
+Review the available jobs list to accept or decline them.</p>`
+      )
+    );
+  });
+
+  app.get('/jobs/accept/available-swo.php', requireSession, (req, res) => {
+    const { vid } = req.query;
+    if (vid !== undefined) {
+      const exp = issuedTokens.get(vid);
+      if (!exp || exp * 1000 < Date.now()) {
+        return res.send(layout('Expired', '<p>Your session expired. Please log in again.</p><a href="/login">Log in</a>'));
+      }
+    }
+    res.send(
+      layout(
+        'Available Jobs',
+        `${nav()}
+<h1>Available Service Work Orders</h1>
+<p>The following service work orders are available in your area. Open an offer to pick an appointment time.</p>
+${offerTable()}`
+      )
+    );
+  });
+
+  app.get('/jobs/accept/scheduled-swo.php', requireSession, (req, res) => {
+    const rows = state.accepted.map((a) => `<li>${escapeHtml(a.swo)} - ${escapeHtml(a.slot)}</li>`).join('\n');
+    res.send(
+      layout(
+        'Scheduled Jobs',
+        `${nav()}
+<h1>Scheduled Service Work Orders</h1>
+<p>Jobs you have accepted and scheduled with the homeowner.</p>
+<ul>${rows || '<li>No scheduled jobs yet.</li>'}</ul>`
+      )
+    );
+  });
+
+  function findOffer(req) {
+    return state.offers.find((o) => o.id === String(req.query.id || ''));
+  }
+
+  app.get('/jobs/accept/offer.php', requireSession, (req, res) => {
+    const offer = findOffer(req);
+    if (!offer || offer.status !== 'available') {
+      return res.send(
+        layout(
+          'Offer',
+          `${nav()}
+<h1>Service Work Order</h1>
+<p>This offer is no longer available. It has already been accepted by another technician.</p>`
+        )
+      );
+    }
+
+    const radios = offer.slots
+      .map(
+        (slot, i) => `<tr>
+    <td><input type="radio" name="${offer.radio}" id="slot_${i}" value="${i}"></td>
+    <td><label for="slot_${i}">${escapeHtml(slot)}</label></td>
+  </tr>`
+      )
+      .join('\n');
+
+    res.send(
+      layout(
+        'Offer',
+        `${nav()}
+<h1>Service Work Order ${escapeHtml(offer.swo)}</h1>
+<table class="details">
+  <tr><th>SWO #:</th><td>${escapeHtml(offer.swo)}</td></tr>
+  <tr><th>Warranty Company:</th><td>${escapeHtml(offer.warranty)}</td></tr>
+  <tr><th>Appliance:</th><td>${escapeHtml(offer.appliance)}</td></tr>
+  <tr><th>City:</th><td>${escapeHtml(offer.city)}, ${escapeHtml(offer.state)} ${escapeHtml(offer.zip)}</td></tr>
+</table>
+<form method="post" action="/jobs/accept/offer.php?id=${encodeURIComponent(offer.id)}">
+  <table class="slots">
+  ${radios}
+  </table>
+  <input type="submit" name="accept_button" value="Accept Offer">
+  <input type="submit" name="decline_button" value="Decline">
+</form>`
+      )
+    );
+  });
+
+  app.post('/jobs/accept/offer.php', requireSession, (req, res) => {
+    const offer = findOffer(req);
+    const page = (text) => res.send(layout('Offer', `${nav()}\n<h1>Service Work Order</h1>\n<p>${text}</p>`));
+
+    if (!offer || offer.status !== 'available') {
+      return page('This offer is no longer available. It has already been accepted by another technician.');
+    }
+    if (req.body.decline_button !== undefined) {
+      offer.status = 'declined';
+      state.declined.push({ id: offer.id, swo: offer.swo });
+      return page(`Offer ${escapeHtml(offer.swo)} declined. This job will not be offered to you again.`);
+    }
+
+    const slot = offer.slots[Number(req.body[offer.radio])];
+    if (req.body[offer.radio] === undefined || !slot) {
+      return page('Please select an appointment time before accepting.');
+    }
+    offer.status = 'accepted';
+    const confirmation = `RH-${++confirmationSeq}`;
+    state.accepted.push({ id: offer.id, swo: offer.swo, slot, confirmation });
+    page(
+      `Thank you! ${escapeHtml(offer.swo)} has been accepted and scheduled for ${escapeHtml(slot)}. ` +
+        `Confirmation # ${confirmation}`
+    );
+  });
+
+  let server = null;
+
+  function start(port = 0) {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      server.on('error', reject);
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  // Drops every session so the next page load redirects to /login
+  function expireSessions() {
+    sessions.clear();
+  }
+
+  function setOptions(changes) {
+    Object.assign(options, changes);
+  }
+
+  return { app, state, start, close, expireSessions, setOptions };
+}
+
+module.exports = { createMockPortal, defaultOffers, DEFAULT_USERNAME, DEFAULT_PASSWORD };
+
+if (require.main === module) {
+  const portal = createMockPortal();
+  portal.start(Number(process.env.PORT) || 4010).then((url) => {
+    console.log(`Mock RelyHome portal on ${url} (login ${DEFAULT_USERNAME} / ${DEFAULT_PASSWORD})`);
+  });
+}
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapCells, parseOfferRow, parseLocation } = require('../lib/offers');
+const { keyForLabel } = require('../lib/fieldAliases');
+
+function cells(headers, values) {
+  return headers.map((header, position) => ({ header, position, value: values[position] }));
+}
+
+describe('keyForLabel', () => {
+  it('names the labels the portal uses', () => {
+    assert.equal(keyForLabel('SWO #'), 'swo_number');
+    assert.equal(keyForLabel('Job No.'), 'swo_number');
+    assert.equal(keyForLabel('Home Warranty Co.'), 'warranty_company');
+    assert.equal(keyForLabel('Service Address:'), 'address');
+    assert.equal(keyForLabel('Appliance'), 'appliance');
+    assert.equal(keyForLabel('Offered'), 'offered_date');
+  });
+
+  it('only matches aliases at the start of a word', () => {
+    assert.equal(keyForLabel('Community'), null);
+    assert.equal(keyForLabel(''), null);
+    assert.equal(keyForLabel(undefined), null);
+  });
+});
+
+describe('mapCells', () => {
+  it('maps columns by header, whatever their order', () => {
+    const { columns, fields } = mapCells(
+      cells(['Offered', 'Zip', 'Appliance', 'SWO #', 'Warranty', ''], ['10/19/2026', '62704', 'Refrigerator', 'SWO-90001', 'Acme', 'Accept'])
+    );
+    assert.deepEqual(fields, {
+      offered_date: '10/19/2026',
+      zip: '62704',
+      category: 'Refrigerator',
+      swo_number: 'SWO-90001',
+      warranty_company: 'Acme',
+    });
+    assert.equal(columns.column_6, 'Accept');
+  });
+
+  it('keeps the first of two columns with the same key', () => {
+    const { fields } = mapCells(cells(['City', 'Area'], ['Springfield', 'North']));
+    assert.equal(fields.city, 'Springfield');
+  });
+
+  it('ignores detail-only keys', () => {
+    const { fields } = mapCells(cells(['Customer', 'Model'], ['J. Smith', 'WRF555']));
+    assert.deepEqual(fields, {});
+  });
+});
+
+describe('parseLocation', () => {
+  it('splits city, state and zip', () => {
+    assert.deepEqual(parseLocation('Springfield, IL 62704'), { city: 'Springfield', state: 'IL', zip: '62704' });
+    assert.deepEqual(parseLocation('Springfield IL'), { city: 'Springfield', state: 'IL', zip: null });
+    assert.deepEqual(parseLocation('62704-1234'), { city: null, state: null, zip: '62704' });
+    assert.deepEqual(parseLocation(''), { city: null, state: null, zip: null });
+  });
+});
+
+describe('parseOfferRow', () => {
+  const href = 'https://portal.example/jobs/accept/offer.php?id=9001&swo=SWO-90001';
+
+  it('builds an offer from the row fields and link', () => {
+    const offer = parseOfferRow(
+      {
+        href,
+        fields: { city: 'Springfield, IL', zip: '62704', category: 'Refrigerator', offered_date: '10/19/2026 2:30 PM' },
+        columns: {},
+        row_text: '',
+      },
+      { timeZone: 'America/New_York' }
+    );
+    assert.equal(offer.offer_id, '9001');
+    assert.equal(offer.swo_number, 'SWO-90001');
+    assert.equal(offer.city, 'Springfield');
+    assert.equal(offer.state, 'IL');
+    assert.equal(offer.zip, '62704');
+    assert.equal(offer.category, 'Refrigerator');
+    assert.equal(offer.offered_at, '2026-10-19T18:30:00.000Z');
+    assert.equal(offer.accept_url, href);
+  });
+
+  it('reads offered dates in the portal timezone', () => {
+    const offeredAt = (offered_date, timeZone) =>
+      parseOfferRow({ href, fields: { offered_date }, columns: {}, row_text: '' }, { timeZone }).offered_at;
+    assert.equal(offeredAt('10/19/26 9:05 am', 'America/Chicago'), '2026-10-19T14:05:00.000Z');
+    assert.equal(offeredAt('12/01/2026', 'America/New_York'), '2026-12-01T05:00:00.000Z');
+    assert.equal(offeredAt('12/01/2026 12:00 AM', 'UTC'), '2026-12-01T00:00:00.000Z');
+  });
+
+  it('falls back to the row text for the SWO number', () => {
+    const offer = parseOfferRow({ href: 'not a url', fields: {}, columns: {}, row_text: 'SWO# 48211 Springfield' });
+    assert.equal(offer.swo_number, '48211');
+    assert.equal(offer.offer_id, '48211');
+    assert.deepEqual(offer.offer_params, {});
+    assert.equal(offer.offered_at, null);
+  });
+});
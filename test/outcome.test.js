@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyOutcome, classifyDeclineOutcome, extractConfirmationNumber } = require('../lib/outcome');
+
+describe('classifyOutcome', () => {
+  const cases = [
+    ['Thank you! SWO-90001 has been accepted and scheduled for 10/21/2026 8:00 AM. Confirmation # RH-48211', 'accepted'],
+    ['Offer accepted', 'accepted'],
+    ['Your appointment was successfully booked.', 'accepted'],
+    ['Job scheduled successfully', 'accepted'],
+    ['This offer is no longer available. It has already been accepted by another technician.', 'offer_unavailable'],
+    ['Sorry, this offer has expired.', 'offer_unavailable'],
+    ['The selected time slot is no longer available. Please choose a different time.', 'slot_unavailable'],
+    ['Please select an appointment time before accepting.', 'validation_error'],
+    ['Unsuccessful. Please try again later.', 'validation_error'],
+    ['Your request could not be accepted.', 'validation_error'],
+    ['This offer cannot be accepted at this time.', 'validation_error'],
+    ['The job was not scheduled.', 'validation_error'],
+    ['We were unable to accept this offer.', 'validation_error'],
+    ['Submission failed.', 'validation_error'],
+  ];
+  for (const [text, outcome] of cases) {
+    it(`reads "${text.slice(0, 50)}" as ${outcome}`, () => {
+      assert.equal(classifyOutcome(text).outcome, outcome);
+    });
+  }
+
+  it('does not treat bare words as a confirmation', () => {
+    for (const text of ['Scheduled Jobs', 'Success rate: 98%', 'Accepted payment methods', 'Confirmed technicians only', 'Thank you for visiting']) {
+      assert.equal(classifyOutcome(text).outcome, 'unknown', text);
+    }
+  });
+
+  it('returns the matching line and the confirmation number', () => {
+    const result = classifyOutcome('Service Work Order\nSWO-90001 has been accepted. Confirmation # RH-48211\nBack to jobs');
+    assert.equal(result.message, 'SWO-90001 has been accepted. Confirmation # RH-48211');
+    assert.equal(result.confirmation_number, 'RH-48211');
+  });
+
+  it('only reports a confirmation number for accepted outcomes', () => {
+    assert.equal(classifyOutcome('Confirmation # RH-1234 could not be processed').confirmation_number, null);
+  });
+});
+
+describe('classifyDeclineOutcome', () => {
+  it('recognises a decline before the offer-unavailable wording', () => {
+    const text = 'Offer SWO-90001 declined. This job will not be offered to you again. It is no longer available.';
+    assert.equal(classifyDeclineOutcome(text).outcome, 'declined');
+  });
+
+  it('reports failed declines', () => {
+    assert.equal(classifyDeclineOutcome('This offer could not be declined.').outcome, 'validation_error');
+    assert.equal(classifyDeclineOutcome('Unable to decline this job right now').outcome, 'validation_error');
+  });
+
+  it('ignores navigation wording', () => {
+    assert.equal(classifyDeclineOutcome('Rejected Jobs').outcome, 'unknown');
+  });
+});
+
+describe('extractConfirmationNumber', () => {
+  it('needs a digit in the number', () => {
+    assert.equal(extractConfirmationNumber('Confirmation: Accepted'), null);
+    assert.equal(extractConfirmationNumber('Confirmation number: AB-1234'), 'AB-1234');
+    assert.equal(extractConfirmationNumber('Reference #: 778812'), '778812');
+  });
+});
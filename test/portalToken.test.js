@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setLevel } = require('../lib/logger');
+const { decodeExpiry, parsePortalToken, createPortalTokenRefresher } = require('../lib/portalToken');
+
+setLevel('silent');
+
+describe('decodeExpiry', () => {
+  it('reads unix seconds, milliseconds and base64-encoded timestamps', () => {
+    assert.equal(decodeExpiry('1760889600').toISOString(), '2025-10-19T16:00:00.000Z');
+    assert.equal(decodeExpiry('1760889600000').toISOString(), '2025-10-19T16:00:00.000Z');
+    assert.equal(decodeExpiry(Buffer.from('1760889600').toString('base64')).toISOString(), '2025-10-19T16:00:00.000Z');
+  });
+
+  it('reads ISO dates', () => {
+    assert.equal(decodeExpiry('2026-10-19T12:00:00Z').toISOString(), '2026-10-19T12:00:00.000Z');
+    assert.equal(decodeExpiry('2026-10-19').toISOString(), '2026-10-19T00:00:00.000Z');
+  });
+
+  it('returns null for anything else', () => {
+    for (const value of [undefined, null, '', 'abc', 'tomorrow', 'Oct 19 2026', '1', '12345', '2026-13-45']) {
+      assert.equal(decodeExpiry(value), null, String(value));
+    }
+  });
+});
+
+describe('parsePortalToken', () => {
+  it('reads vid and exp from the URL', () => {
+    const token = parsePortalToken('https://portal.example/jobs/available-swo.php?vid=abc123&exp=1760889600');
+    assert.deepEqual(token, {
+      url: 'https://portal.example/jobs/available-swo.php?vid=abc123&exp=1760889600',
+      vid: 'abc123',
+      exp: '1760889600',
+      expires_at: '2025-10-19T16:00:00.000Z',
+    });
+  });
+
+  it('keeps tokens whose expiry cannot be read', () => {
+    assert.equal(parsePortalToken('https://portal.example/available-swo.php?vid=abc&exp=soon').expires_at, null);
+  });
+
+  it('returns null without both parameters or a valid URL', () => {
+    assert.equal(parsePortalToken('https://portal.example/available-swo.php?vid=abc'), null);
+    assert.equal(parsePortalToken('https://portal.example/available-swo.php?exp=1760889600'), null);
+    assert.equal(parsePortalToken('/available-swo.php?vid=abc&exp=1760889600'), null);
+    assert.equal(parsePortalToken(null), null);
+  });
+});
+
+describe('createPortalTokenRefresher', () => {
+  const account = { id: 'default' };
+  const token = { url: 'https://portal.example/available-swo.php?vid=abc&exp=1', expires_at: '1970-01-01T00:00:01.000Z' };
+
+  function refresher(options) {
+    return createPortalTokenRefresher({ listAccounts: () => [account], needsRefresh: () => true, ...options });
+  }
+
+  it('records a successful refresh', async () => {
+    const tokens = refresher({ refresh: async () => token, isFresh: () => true });
+    await tokens.refreshAccount(account);
+    assert.deepEqual({ ...tokens.status('default').last_refresh, at: null }, { at: null, ok: true, error: null, failures: 0 });
+  });
+
+  it('counts a token that is already stale as a failure', async () => {
+    const tokens = refresher({ refresh: async () => token, isFresh: () => false });
+    await tokens.refreshAccount(account);
+    await tokens.refreshAccount(account);
+    const { last_refresh: last } = tokens.status('default');
+    assert.equal(last.ok, false);
+    assert.match(last.error, /expires too soon/);
+    assert.equal(last.failures, 2);
+  });
+
+  it('counts missing tokens and errors as failures', async () => {
+    const missing = refresher({ refresh: async () => null });
+    await missing.refreshAccount(account);
+    assert.equal(missing.status('default').last_refresh.error, 'No tokenized URL found');
+
+    const failing = refresher({
+      refresh: async () => {
+        throw new Error('Login failed');
+      },
+    });
+    await failing.refreshAccount(account);
+    assert.deepEqual({ ...failing.status('default').last_refresh, at: null }, { at: null, ok: false, error: 'Login failed', failures: 1 });
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLevel } = require('../lib/logger');
+const { createScreenshotStore } = require('../lib/screenshots');
+
+setLevel('silent');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const page = { screenshot: async () => Buffer.from('fake image') };
+
+function linkParams(signedPath) {
+  const url = new URL(signedPath, 'http://worker.local');
+  return { id: path.basename(url.pathname), expires: url.searchParams.get('expires'), signature: url.searchParams.get('signature') };
+}
+
+describe('createScreenshotStore', () => {
+  const store = createScreenshotStore({ dir, signingSecret: 'screenshot-secret' });
+
+  it('serves a capture through its signed link', async () => {
+    const shot = await store.capture(page);
+    assert.equal(shot.base64, null);
+    const { id, expires, signature } = linkParams(shot.path);
+    const found = store.resolve(id, { expires, signature });
+    assert.equal(found.contentType, 'image/jpeg');
+    assert.equal(fs.readFileSync(found.file, 'utf8'), 'fake image');
+  });
+
+  it('rejects tampered signatures and expiries', async () => {
+    const { id, expires, signature } = linkParams((await store.capture(page)).path);
+    assert.equal(store.resolve(id, { expires, signature: signature.replace(/^./, (c) => (c === '0' ? '1' : '0')) }).status, 403);
+    assert.equal(store.resolve(id, { expires: Number(expires) + 60, signature }).status, 403);
+    assert.equal(store.resolve(id, { expires }).status, 403);
+    assert.equal(store.resolve(id, { trusted: true }).contentType, 'image/jpeg');
+  });
+
+  it('rejects links signed by another key', async () => {
+    const { id, expires, signature } = linkParams((await store.capture(page)).path);
+    const other = createScreenshotStore({ dir, signingSecret: 'other-secret' });
+    assert.equal(other.resolve(id, { expires, signature }).status, 403);
+  });
+
+  it('expires links after their ttl and sweeps the files', async () => {
+    const shortLived = createScreenshotStore({ dir: path.join(dir, 'short'), signingSecret: 'screenshot-secret', ttlMs: -1000 });
+    const { id, expires, signature } = linkParams((await shortLived.capture(page)).path);
+    assert.deepEqual(shortLived.resolve(id, { expires, signature }), { status: 410, code: 'LINK_EXPIRED', error: 'Screenshot link expired' });
+    assert.equal(shortLived.sweep(), 1);
+    assert.equal(shortLived.resolve(id, { trusted: true }).status, 404);
+  });
+
+  it('only resolves screenshot ids', () => {
+    assert.equal(store.resolve('../secrets.json', { trusted: true }).status, 404);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLevel } = require('../lib/logger');
+const { validateProfile, createSelectorProfileStore } = require('../lib/selectorProfile');
+
+setLevel('silent');
+
+const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selectors', 'relyhome.json'), 'utf8'));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-profile-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('validateProfile', () => {
+  it('accepts the shipped profile', () => {
+    assert.deepEqual(validateProfile(shipped), []);
+  });
+
+  it('lists every missing or malformed entry', () => {
+    assert.deepEqual(validateProfile([]), ['profile must be a JSON object']);
+    const broken = { ...shipped, version: '', offer_list: null, login: { ...shipped.login, submit: [], password: ['  '] } };
+    assert.deepEqual(validateProfile(broken), [
+      'version must be a non-empty string',
+      'login.password must only contain non-empty strings',
+      'login.submit must be a non-empty array',
+      'offer_list must be an object',
+    ]);
+  });
+});
+
+describe('createSelectorProfileStore', () => {
+  it('keeps the active profile when a reload is invalid', () => {
+    const filePath = path.join(dir, 'profile.json');
+    fs.writeFileSync(filePath, JSON.stringify({ ...shipped, version: 'v1' }));
+    const store = createSelectorProfileStore({ filePath });
+    assert.equal(store.version(), 'v1');
+
+    fs.writeFileSync(filePath, JSON.stringify({ ...shipped, version: 'v2', offer: {} }));
+    const rejected = store.reload();
+    assert.equal(rejected.ok, false);
+    assert.equal(rejected.version, 'v1');
+    assert.equal(store.version(), 'v1');
+
+    fs.writeFileSync(filePath, '{ not json');
+    assert.equal(store.reload().ok, false);
+    assert.deepEqual(store.get('login.username'), shipped.login.username);
+
+    fs.writeFileSync(filePath, JSON.stringify({ ...shipped, version: 'v3' }));
+    assert.deepEqual(store.reload(), { ok: true, errors: [], version: 'v3', previous_version: 'v1' });
+  });
+
+  it('refuses to start on an invalid profile', () => {
+    const filePath = path.join(dir, 'invalid.json');
+    fs.writeFileSync(filePath, JSON.stringify({ version: 'v1' }));
+    assert.throws(() => createSelectorProfileStore({ filePath }), /Invalid selector profile/);
+  });
+
+  it('records which candidate matched', () => {
+    const filePath = path.join(dir, 'matches.json');
+    fs.writeFileSync(filePath, JSON.stringify(shipped));
+    const seen = [];
+    const store = createSelectorProfileStore({ filePath, onMatch: (match) => seen.push(match) });
+    const [first] = store.get('offer.slot_radio');
+    assert.equal(store.recordMatch('offer.slot_radio', first), 0);
+    assert.equal(store.recordMatch('offer.slot_radio', null), -1);
+    assert.deepEqual(seen, [
+      { key: 'offer.slot_radio', selector: first, index: 0 },
+      { key: 'offer.slot_radio', selector: null, index: -1 },
+    ]);
+    assert.equal(store.status().matches['offer.slot_radio'].misses, 1);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLevel } = require('../lib/logger');
+const { createSessionPersistence } = require('../lib/sessionPersistence');
+
+setLevel('silent');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-persistence-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const snapshot = { accounts: { default: { cookies: [{ name: 'PHPSESSID', value: 'abc123' }] } } };
+
+describe('createSessionPersistence', () => {
+  it('round-trips a snapshot without writing it in the clear', () => {
+    const filePath = path.join(dir, 'round-trip.json');
+    const persistence = createSessionPersistence({ filePath, secret: 'correct horse' });
+    persistence.save(snapshot);
+
+    assert.equal(fs.readFileSync(filePath, 'utf8').includes('abc123'), false);
+    assert.deepEqual(persistence.load(), snapshot);
+    assert.deepEqual(createSessionPersistence({ filePath, secret: 'correct horse' }).load(), snapshot);
+  });
+
+  it('derives the key once and uses a new IV for every write', (t) => {
+    const scrypt = t.mock.method(crypto, 'scryptSync');
+    const filePath = path.join(dir, 'reuse.json');
+    const persistence = createSessionPersistence({ filePath, secret: 'correct horse' });
+    persistence.save(snapshot);
+    const first = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    persistence.save(snapshot);
+    const second = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    assert.equal(scrypt.mock.callCount(), 1);
+    assert.equal(second.salt, first.salt);
+    assert.notEqual(second.iv, first.iv);
+    assert.deepEqual(persistence.load(), snapshot);
+    assert.equal(scrypt.mock.callCount(), 1);
+  });
+
+  it('keeps the salt of the file it loaded', () => {
+    const filePath = path.join(dir, 'existing.json');
+    createSessionPersistence({ filePath, secret: 'correct horse' }).save(snapshot);
+    const { salt } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const restarted = createSessionPersistence({ filePath, secret: 'correct horse' });
+    assert.deepEqual(restarted.load(), snapshot);
+    restarted.save({ accounts: {} });
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).salt, salt);
+    assert.deepEqual(restarted.load(), { accounts: {} });
+  });
+
+  it('loads nothing with the wrong key or a tampered file', () => {
+    const filePath = path.join(dir, 'wrong-key.json');
+    createSessionPersistence({ filePath, secret: 'correct horse' }).save(snapshot);
+    assert.equal(createSessionPersistence({ filePath, secret: 'battery staple' }).load(), null);
+
+    const envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    fs.writeFileSync(filePath, JSON.stringify({ ...envelope, data: data.toString('base64') }));
+    assert.equal(createSessionPersistence({ filePath, secret: 'correct horse' }).load(), null);
+  });
+
+  it('does nothing without a key', () => {
+    const filePath = path.join(dir, 'disabled.json');
+    const persistence = createSessionPersistence({ filePath, secret: '' });
+    persistence.save(snapshot);
+    assert.equal(persistence.enabled, false);
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(persistence.load(), null);
+  });
+});
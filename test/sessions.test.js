@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setLevel } = require('../lib/logger');
+const { createSessionStore } = require('../lib/sessions');
+
+setLevel('silent');
+
+function store(options = {}) {
+  return createSessionStore({
+    defaultTtlMs: 60000,
+    accounts: [{ id: 'tech-a', username: 'a@example.com', password_env: 'PASSWORD_A' }],
+    env: { RELYHOME_USERNAME: 'default@example.com', RELYHOME_PASSWORD: 'default-pw', PASSWORD_A: 'pw-a' },
+    ...options,
+  });
+}
+
+describe('resolve', () => {
+  it('picks configured accounts by id or matching credentials', () => {
+    const sessions = store();
+    assert.equal(sessions.resolve({}).id, 'default');
+    assert.equal(sessions.resolve({ account: 'tech-a' }).id, 'tech-a');
+    assert.equal(sessions.resolve({ username: 'a@example.com', password: 'pw-a' }).id, 'tech-a');
+    assert.equal(sessions.resolve({ account: 'missing' }), null);
+  });
+
+  it('gives other credentials a random ad-hoc account', () => {
+    const sessions = store();
+    const adHoc = sessions.resolve({ username: 'a@example.com', password: 'guess' });
+    assert.match(adHoc.id, /^adhoc:[0-9a-f-]{36}$/);
+    assert.equal(adHoc.adHoc, true);
+    assert.equal(sessions.credentials(sessions.get('tech-a')).password, 'pw-a');
+
+    assert.equal(sessions.resolve({ username: 'a@example.com', password: 'guess' }), adHoc);
+    assert.notEqual(sessions.resolve({ username: 'a@example.com', password: 'other' }), adHoc);
+    assert.notEqual(store().resolve({ username: 'a@example.com', password: 'guess' }).id, adHoc.id);
+  });
+
+  it('evicts the least recently used ad-hoc accounts', () => {
+    const sessions = store({ adHocMaxAccounts: 1 });
+    const first = sessions.resolve({ username: 'x@example.com', password: '1' });
+    const second = sessions.resolve({ username: 'y@example.com', password: '2' });
+    assert.equal(sessions.get(first.id), null);
+    assert.equal(sessions.get(second.id), second);
+    assert.notEqual(sessions.resolve({ username: 'x@example.com', password: '1' }).id, first.id);
+  });
+
+  it('restores ad-hoc sessions by id without their credentials', () => {
+    const sessions = store();
+    const adHoc = sessions.resolve({ username: 'x@example.com', password: '1' });
+    sessions.setCookies(adHoc, [{ name: 'PHPSESSID', value: 'abc' }]);
+    const snapshot = sessions.snapshot();
+    assert.equal('password' in snapshot.accounts[adHoc.id], false);
+
+    const restarted = store();
+    assert.equal(restarted.restore(snapshot), 1);
+    const restored = restarted.get(adHoc.id);
+    assert.equal(restored.adHoc, true);
+    assert.equal(restarted.credentials(restored).password, null);
+    assert.notEqual(restarted.resolve({ username: 'x@example.com', password: '1' }), restored);
+  });
+});
+
+describe('singleFlightLogin', () => {
+  const invalid = () => Promise.reject(Object.assign(new Error('Invalid credentials'), { code: 'LOGIN_INVALID_CREDENTIALS' }));
+  const options = { isCredentialFailure: (error) => error.code === 'LOGIN_INVALID_CREDENTIALS' };
+  let clock;
+
+  function blockedFor(sessions, account) {
+    return Date.parse(sessions.describe(account).login.blocked_until) - clock;
+  }
+
+  it('lets concurrent callers share one login', async () => {
+    const sessions = store();
+    const account = sessions.get('tech-a');
+    let calls = 0;
+    let finish;
+    const login = () => {
+      calls++;
+      return new Promise((resolve) => (finish = resolve));
+    };
+
+    const first = sessions.singleFlightLogin(account, login);
+    const second = sessions.singleFlightLogin(account, login);
+    assert.equal(sessions.describe(account).login.in_flight, true);
+    finish();
+    assert.deepEqual(await first, { shared: false });
+    assert.deepEqual(await second, { shared: true });
+    assert.equal(calls, 1);
+    assert.equal(sessions.describe(account).login.in_flight, false);
+  });
+
+  it('backs off exponentially after invalid credentials', async (t) => {
+    clock = 1_000_000;
+    t.mock.method(Date, 'now', () => clock);
+    const sessions = store({ loginBackoffMs: 1000, loginMaxBackoffMs: 3000, loginBreakerThreshold: 5 });
+    const account = sessions.get('tech-a');
+
+    await assert.rejects(sessions.singleFlightLogin(account, invalid, options), /Invalid credentials/);
+    assert.equal(blockedFor(sessions, account), 1000);
+
+    let calls = 0;
+    const counted = () => {
+      calls++;
+      return invalid();
+    };
+    await assert.rejects(sessions.singleFlightLogin(account, counted, options), { code: 'LOGIN_BACKOFF' });
+    assert.equal(calls, 0);
+
+    clock += 1000;
+    await assert.rejects(sessions.singleFlightLogin(account, counted, options), /Invalid credentials/);
+    assert.equal(blockedFor(sessions, account), 2000);
+    clock += 2000;
+    await assert.rejects(sessions.singleFlightLogin(account, counted, options), /Invalid credentials/);
+    assert.equal(blockedFor(sessions, account), 3000, 'capped at loginMaxBackoffMs');
+    assert.equal(calls, 2);
+  });
+
+  it('does not back off on other failures', async () => {
+    const sessions = store();
+    const account = sessions.get('tech-a');
+    const timeout = () => Promise.reject(Object.assign(new Error('timeout'), { code: 'NAVIGATION_TIMEOUT' }));
+    await assert.rejects(sessions.singleFlightLogin(account, timeout, options), /timeout/);
+    assert.equal(sessions.describe(account).login.consecutive_failures, 0);
+    assert.equal(sessions.describe(account).login.blocked_until, null);
+  });
+
+  it('opens the breaker at the threshold until it is reset', async (t) => {
+    clock = 1_000_000;
+    t.mock.method(Date, 'now', () => clock);
+    const sessions = store({ loginBackoffMs: 1000, loginBreakerThreshold: 2, loginBreakerCooldownMs: 60000 });
+    const account = sessions.get('tech-a');
+
+    await assert.rejects(sessions.singleFlightLogin(account, invalid, options));
+    clock += 1000;
+    await assert.rejects(sessions.singleFlightLogin(account, invalid, options));
+    assert.equal(sessions.describe(account).login.circuit_open, true);
+    assert.equal(blockedFor(sessions, account), 60000);
+
+    const refused = sessions.singleFlightLogin(account, async () => {}, options);
+    await assert.rejects(refused, (error) => error.code === 'LOGIN_CIRCUIT_OPEN' && error.retry_at === new Date(clock + 60000).toISOString());
+
+    sessions.resetLogin(account);
+    assert.deepEqual(await sessions.singleFlightLogin(account, async () => {}, options), { shared: false });
+  });
+
+  it('starts over when the credentials change', async () => {
+    const env = { PASSWORD_A: 'old' };
+    const sessions = store({ env, loginBreakerThreshold: 1 });
+    const account = sessions.get('tech-a');
+
+    await assert.rejects(sessions.singleFlightLogin(account, invalid, options));
+    await assert.rejects(sessions.singleFlightLogin(account, async () => {}, options), { code: 'LOGIN_CIRCUIT_OPEN' });
+
+    env.PASSWORD_A = 'new';
+    assert.deepEqual(await sessions.singleFlightLogin(account, async () => {}, options), { shared: false });
+    assert.equal(sessions.describe(account).login.consecutive_failures, 0);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePreferences, rankSlots, selectSlot } = require('../lib/slotPreferences');
+
+const NOW = new Date('2026-10-19T16:00:00Z');
+const OPTIONS = { now: NOW, timeZone: 'America/New_York' };
+
+function prefs(raw) {
+  const { preferences, errors } = normalizePreferences(raw);
+  assert.deepEqual(errors, []);
+  return preferences;
+}
+
+function slots(...labels) {
+  return labels.map((label, i) => ({ value: String(i + 1), label }));
+}
+
+describe('normalizePreferences', () => {
+  it('accepts an empty object', () => {
+    const p = prefs({});
+    assert.equal(p.strategy, 'preferred_order');
+    assert.equal(p.reject_if_no_match, false);
+  });
+
+  it('rejects blackout entries that are not dates or ranges', () => {
+    for (const entry of [null, 5, true, ['2026-10-20'], 'tomorrow', { from: 'x' }, { from: '2026-10-20', to: 3 }]) {
+      const { preferences, errors } = normalizePreferences({ blackout_dates: [entry] });
+      assert.equal(preferences, null, JSON.stringify(entry));
+      assert.deepEqual(errors, ['blackout_dates[0]: expected YYYY-MM-DD or { from, to }']);
+    }
+  });
+
+  it('accepts single blackout dates and ranges', () => {
+    const p = prefs({ blackout_dates: ['2026-10-20', { from: '2026-10-22', to: '2026-10-23' }, { from: '2026-10-25' }] });
+    assert.deepEqual(p.blackout_dates, [
+      { from: '2026-10-20', to: '2026-10-20' },
+      { from: '2026-10-22', to: '2026-10-23' },
+      { from: '2026-10-25', to: '2026-10-25' },
+    ]);
+  });
+
+  it('reports every invalid field', () => {
+    const { preferences, errors } = normalizePreferences({
+      allowed_days: ['mon', 'someday'],
+      earliest_start: 'noonish',
+      min_lead_hours: 'soon',
+      strategy: 'random',
+      latest_date: '10/20/2026',
+    });
+    assert.equal(preferences, null);
+    assert.equal(errors.length, 5);
+  });
+
+  it('rejects preferences that are not an object', () => {
+    assert.deepEqual(normalizePreferences('earliest').errors, ['preferences: expected an object']);
+    assert.deepEqual(normalizePreferences([]).errors, ['preferences: expected an object']);
+  });
+});
+
+describe('selectSlot', () => {
+  const thursday = slots('Thursday, October 22 - 8AM to 12PM', 'Thursday, October 22 - 1PM to 5PM');
+
+  it('honours earliest_start with month-name labels', () => {
+    const { slot, matched } = selectSlot(thursday, prefs({ earliest_start: '10am', reject_if_no_match: true }), OPTIONS);
+    assert.equal(matched, true);
+    assert.equal(slot.value, '2');
+  });
+
+  it('returns no slot when nothing is eligible and reject_if_no_match is set', () => {
+    const { slot, ranked } = selectSlot(thursday, prefs({ latest_start: '7am', reject_if_no_match: true }), OPTIONS);
+    assert.equal(slot, null);
+    assert.ok(ranked.every((r) => r.violations.length > 0));
+  });
+
+  it('falls back to the best ineligible slot without reject_if_no_match', () => {
+    const { slot, matched } = selectSlot(thursday, prefs({ latest_start: '7am' }), OPTIONS);
+    assert.equal(matched, false);
+    assert.equal(slot.value, '1');
+  });
+
+  it('skips blacked-out dates and blocked days', () => {
+    const options = slots('Mon 10/19/2026 1pm-5pm', 'Tue 10/20/2026 1pm-5pm', 'Wed 10/21/2026 1pm-5pm');
+    const { slot } = selectSlot(
+      options,
+      prefs({ blackout_dates: [{ from: '2026-10-19', to: '2026-10-20' }], blocked_days: ['wed'], reject_if_no_match: true }),
+      OPTIONS
+    );
+    assert.equal(slot, null);
+  });
+
+  it('treats constraints it cannot check as violations', () => {
+    const { slot, ranked } = selectSlot(slots('Morning window'), prefs({ earliest_date: '2026-10-20', reject_if_no_match: true }), OPTIONS);
+    assert.equal(slot, null);
+    assert.deepEqual(ranked[0].violations, ['earliest_date: slot date unknown']);
+  });
+});
+
+describe('rankSlots', () => {
+  const week = slots('Wed 10/21/2026 8:00 AM - 12:00 PM', 'Tue 10/20/2026 1:00 PM - 5:00 PM', 'Thu 10/22/2026 8:00 AM - 12:00 PM');
+
+  it('orders by start for the earliest and latest strategies', () => {
+    assert.deepEqual(rankSlots(week, prefs({ strategy: 'earliest' }), OPTIONS).map((s) => s.value), ['2', '1', '3']);
+    assert.deepEqual(rankSlots(week, prefs({ strategy: 'latest' }), OPTIONS).map((s) => s.value), ['3', '1', '2']);
+  });
+
+  it('scores preferred days and slots in order', () => {
+    const ranked = rankSlots(week, prefs({ preferred_days: ['thu'], preferred_slots: ['1:00 pm'] }), OPTIONS);
+    assert.deepEqual(ranked.map((s) => s.value), ['3', '2', '1']);
+    assert.equal(ranked[0].score, 100);
+    assert.equal(ranked[1].score, 50);
+  });
+
+  it('measures lead time across the DST switch in real hours', () => {
+    // 08:00 EDT on Oct 31 to 08:00 EST on Nov 1 is 25 hours
+    const now = new Date('2026-10-31T12:00:00Z');
+    const [entry] = rankSlots(slots('Sun 11/1/2026 8:00 AM'), prefs({ min_lead_hours: 24.5 }), { ...OPTIONS, now });
+    assert.equal(entry.eligible, true);
+    const [tooSoon] = rankSlots(slots('Sun 11/1/2026 8:00 AM'), prefs({ min_lead_hours: 25.5 }), { ...OPTIONS, now });
+    assert.deepEqual(tooSoon.violations, ['lead time 25.0h below min 25.5h']);
+  });
+});
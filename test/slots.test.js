@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSlot, parseSlotDateTime, parseTimeOfDay, normalizeDayName, zonedTimeToDate } = require('../lib/slots');
+
+const NOW = new Date('2026-10-19T16:00:00Z');
+const NEW_YORK = 'America/New_York';
+
+function slot(label, timeZone = NEW_YORK, now = NOW) {
+  return normalizeSlot({ value: 'v', label }, { timeZone, now });
+}
+
+describe('normalizeSlot', () => {
+  const cases = [
+    ['Monday 10/20/2026 8:00 AM - 12:00 PM', '2026-10-20T08:00:00-04:00', '2026-10-20T12:00:00-04:00'],
+    ['Tue 10/21 1pm-5pm', '2026-10-21T13:00:00-04:00', '2026-10-21T17:00:00-04:00'],
+    ['Tue 10/21 8-12pm', '2026-10-21T08:00:00-04:00', '2026-10-21T12:00:00-04:00'],
+    ['Oct 22, 2026 8:00-12:00', '2026-10-22T08:00:00-04:00', '2026-10-22T12:00:00-04:00'],
+    ['2026-10-23 08:00 to 12:00', '2026-10-23T08:00:00-04:00', '2026-10-23T12:00:00-04:00'],
+    ['Thursday, October 22 - 8AM to 12PM', '2026-10-22T08:00:00-04:00', '2026-10-22T12:00:00-04:00'],
+    ['Thu Oct 22 - 1pm-5pm', '2026-10-22T13:00:00-04:00', '2026-10-22T17:00:00-04:00'],
+    ['Friday, October 23rd, 2026 - 9 a.m. to 1 p.m.', '2026-10-23T09:00:00-04:00', '2026-10-23T13:00:00-04:00'],
+    ['Fri Oct 23 10:00 PM - 2:00 AM', '2026-10-23T22:00:00-04:00', '2026-10-24T02:00:00-04:00'],
+    ['Sat 10/25 noon-4pm', '2026-10-25T12:00:00-04:00', '2026-10-25T16:00:00-04:00'],
+    ['10/27 8a-12p', '2026-10-27T08:00:00-04:00', '2026-10-27T12:00:00-04:00'],
+    ['Fri 10/23 8pm-midnight', '2026-10-23T20:00:00-04:00', '2026-10-24T00:00:00-04:00'],
+    ['Tue 10/21 noon', '2026-10-21T12:00:00-04:00', null],
+    ['Thursday, October 22 - 8AM', '2026-10-22T08:00:00-04:00', null],
+  ];
+  for (const [label, start, end] of cases) {
+    it(`parses "${label}"`, () => {
+      const s = slot(label);
+      assert.equal(s.start, start);
+      assert.equal(s.end, end);
+      assert.equal(s.parse_error, null);
+    });
+  }
+
+  it('does not read the day of month in a month-name date as an hour', () => {
+    const parsed = parseSlotDateTime('Thursday, October 22 - 8AM to 12PM', { now: NOW });
+    assert.equal(parsed.date, '2026-10-22');
+    assert.equal(parsed.day, 'thursday');
+    assert.equal(parsed.start_minutes, 8 * 60);
+    assert.equal(parsed.end_minutes, 12 * 60);
+  });
+
+  it('reports a bare number range instead of guessing', () => {
+    const s = slot('Tue 10/21 8-12');
+    assert.equal(s.date, '2026-10-21');
+    assert.equal(s.start, null);
+    assert.match(s.parse_error, /time not recognized/);
+  });
+
+  it('reports an unreadable range instead of taking its end as the start', () => {
+    const s = slot('Sat 10/25 8ish-4pm');
+    assert.equal(s.start, null);
+    assert.equal(s.end, null);
+    assert.match(s.parse_error, /time not recognized/);
+  });
+
+  it('reports labels without a date', () => {
+    const s = slot('Morning 8AM - 12PM');
+    assert.equal(s.start, null);
+    assert.match(s.parse_error, /date not recognized/);
+  });
+
+  it('infers the next occurrence when the year is missing', () => {
+    assert.equal(slot('Jan 5 - 8AM to 12PM').date, '2027-01-05');
+    assert.equal(slot('Jan 5 - 8AM to 12PM').year_inferred, true);
+    assert.equal(slot('10/18 8:00 AM').date, '2026-10-18');
+    assert.equal(slot('10/17 8:00 AM').date, '2027-10-17');
+    assert.equal(slot('10/17/2026 8:00 AM').year_inferred, false);
+  });
+});
+
+describe('timezone conversion', () => {
+  it('uses daylight time before the US switch and standard time after it', () => {
+    assert.equal(slot('Sat 10/31/2026 8:00 AM').start, '2026-10-31T08:00:00-04:00');
+    assert.equal(slot('Sun 11/1/2026 8:00 AM').start, '2026-11-01T08:00:00-05:00');
+    assert.equal(slot('Sat 3/7/2027 8:00 AM').start, '2027-03-07T08:00:00-05:00');
+    assert.equal(slot('Sun 3/14/2027 8:00 AM').start, '2027-03-14T08:00:00-04:00');
+  });
+
+  it('keeps a window that spans the fall-back hour in wall-clock time', () => {
+    const s = slot('Sun 11/1/2026 12:00 AM - 4:00 AM');
+    assert.equal(s.start, '2026-11-01T00:00:00-04:00');
+    assert.equal(s.end, '2026-11-01T04:00:00-05:00');
+  });
+
+  it('converts in other zones', () => {
+    assert.equal(slot('10/21/2026 8:00 AM', 'America/Phoenix').start, '2026-10-21T08:00:00-07:00');
+    assert.equal(slot('10/24/2026 9:00 AM', 'Europe/London').start, '2026-10-24T09:00:00+01:00');
+    assert.equal(slot('10/25/2026 9:00 AM', 'Europe/London').start, '2026-10-25T09:00:00+00:00');
+  });
+
+  it('maps wall-clock times to instants', () => {
+    assert.equal(zonedTimeToDate('2026-10-20', 8 * 60, NEW_YORK).toISOString(), '2026-10-20T12:00:00.000Z');
+    assert.equal(zonedTimeToDate('2026-11-02', 8 * 60, NEW_YORK).toISOString(), '2026-11-02T13:00:00.000Z');
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  it('reads 12- and 24-hour times', () => {
+    assert.equal(parseTimeOfDay('10am'), 600);
+    assert.equal(parseTimeOfDay('2:30 pm'), 870);
+    assert.equal(parseTimeOfDay('14:30'), 870);
+    assert.equal(parseTimeOfDay('12am'), 0);
+    assert.equal(parseTimeOfDay('12pm'), 720);
+  });
+
+  it('rejects anything else', () => {
+    assert.equal(parseTimeOfDay('noon'), null);
+    assert.equal(parseTimeOfDay('25:00'), null);
+    assert.equal(parseTimeOfDay(''), null);
+  });
+});
+
+describe('normalizeDayName', () => {
+  it('accepts full names and abbreviations', () => {
+    assert.equal(normalizeDayName('Fri'), 'friday');
+    assert.equal(normalizeDayName('thursday'), 'thursday');
+    assert.equal(normalizeDayName('funday'), null);
+    assert.equal(normalizeDayName(null), null);
+  });
+});